@@ -1,274 +1,965 @@
 const puppeteer = require('puppeteer');
+const EventEmitter = require('events');
 const fs = require('fs-extra');
 const path = require('path');
 const { URL } = require('url');
 const https = require('https');
 const http = require('http');
 const zlib = require('zlib');
+const crypto = require('crypto');
+const { parseRobotsTxt, getRobotsRules, isPathAllowed, parseSitemapXml } = require('./src/robots');
+const { DEFAULT_DENY_PATTERNS, DEFAULT_LOGIN_PATTERNS, compilePattern, compilePatterns, matchesAny, getStartDirectory, isWwwTwin, matchesHost } = require('./src/scope');
+const { REPLAY_SHIM_FILE, REPLAY_SHIM_SOURCE, buildReplayScripts, injectIntoHead } = require('./src/replay');
+const { WarcWriter } = require('./src/warc');
+const { ZipWriter } = require('./src/zip');
+const { parseCssReferences, replaceCssUrls } = require('./src/css');
+const { SingleFileInliner } = require('./src/single-file');
+const { TarWriter } = require('./src/tar');
+const { PreviewServer, MISSING_REPORT_FILE } = require('./src/serve');
+const { verifyOutput, writeVerifyReport } = require('./src/verify');
+const { usage, parseCommandLine, loadConfigFile } = require('./src/cli');
+const { expandEnv, loadCookieJar, parseHttpAuth, normalizeHeaders } = require('./src/auth');
+const { normalizeReadiness, waitForReady } = require('./src/readiness');
+const { SEARCH_PAGE, SEARCH_INDEX_FILE, writeSearchIndex } = require('./src/search');
+const { URL_MAP_FILE, UrlFileMap, relativeHref } = require('./src/url-map');
+const { findResources, rewriteHtml, restoreLinks, escapeHtml } = require('./src/rewrite');
+const { MANIFEST_FILE_NAME, MANIFEST_VERSION } = require('./src/manifest');
+const { autoScroll, runSteps } = require('./src/interact');
+const { stateUrl, parseStateUrl, stateFilePath, normalizeStateRule, enterState, listStateTargets, markStateTargets, injectStateNav } = require('./src/states');
   
-class WebsiteScraper {
-    constructor(baseUrl, outputDir = 'scraped-site') {
+const STATE_FILE_NAME = '.scrape-state.json';
+const STATE_VERSION = 1;
+const WARC_DIR = 'archive';
+const WARC_FILE_NAME = 'data.warc.gz';
+const SINGLE_FILE_DIR = 'single-file';
+const ARCHIVE_FORMATS = ['zip', 'tar.gz'];
+const ARCHIVE_LANDING_PAGE = 'start-here.html';
+const ARCHIVE_MANIFEST = 'archive-manifest.json';
+// Files and folders generated in the output directory; pages and assets are never saved under these names
+const GENERATED_FILES = ['sitemap.html', 'sitemap.json', URL_MAP_FILE, SEARCH_PAGE, SEARCH_INDEX_FILE, ARCHIVE_LANDING_PAGE, ARCHIVE_MANIFEST,
+    'update-report.json', 'api-replay.json', 'verify-report.html', 'verify-report.json', MISSING_REPORT_FILE, REPLAY_SHIM_FILE,
+    WARC_DIR + '/', SINGLE_FILE_DIR + '/'];
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Options accepted by the WebsiteScraper constructor, config files and (as flags) the CLI
+const DEFAULT_OPTIONS = {
+    resume: false,
+    checkpointPages: 25, // Save the crawl state after this many pages...
+    checkpointInterval: 30000, // ...or after this long (ms), whichever comes first
+    update: false, // Revalidate pages and resources from the previous run instead of re-fetching them
+    concurrency: 1, // Number of browser tabs crawling in parallel
+    perHostConcurrency: 1, // Max tabs loading pages from the same host at once
+    delay: 1000, // Pause between two page loads on the same host (ms)
+    downloadConcurrency: 4, // Max resource downloads in flight across all tabs
+    respectRobots: true, // Honor robots.txt Allow/Disallow and Crawl-delay
+    robotsUserAgent: 'website-scraper', // User agent matched against robots.txt groups
+    seedSitemaps: true, // Queue the URLs listed in sitemap.xml on a fresh crawl
+    include: [], // Globs or regexes on path + query; when set, a URL must match one of them
+    exclude: [], // Globs or regexes on path + query that are never crawled
+    maxDepth: null, // Max number of links followed from the start URL
+    maxPages: null, // Stop after this many pages
+    stayUnderStartPath: false, // Only crawl URLs below the start URL's directory
+    allowedHosts: [], // Extra hostnames treated as internal (e.g. www. vs apex, a docs subdomain)
+    crossOriginAssets: false, // Also download assets from other hosts (CDNs, font hosts) into assets/<host>/
+    assetHosts: [], // When set, only these asset hosts are downloaded ("*.example.com" allowed)
+    denyAssetHosts: [], // Asset hosts that are never downloaded
+    capture: false, // Save resources from the browser's own responses instead of re-downloading them
+    replayApi: false, // Record XHR/fetch responses and replay them in the saved pages (implies capture)
+    replayMaxBytes: 2 * 1024 * 1024, // Larger API responses are not embedded for replay
+    warc: false, // Write every request/response pair to archive/data.warc.gz
+    wacz: false, // Also package the WARC, CDXJ index and page list as <domain>.wacz (implies warc)
+    htmlOutput: true, // Write the rewritten HTML pages and assets; false keeps only the WARC/WACZ output
+    search: true, // Build an offline full-text search index and search.html from the saved pages
+    singleFile: false, // Also export every page as self-contained HTML into single-file/
+    singleFileMaxBytes: 10 * 1024 * 1024, // Larger assets stay as links in single-file pages
+    archive: null, // 'zip' or 'tar.gz': also pack the pages and assets into <output-dir>.zip / .tar.gz
+    pageWait: 2000, // Extra wait after DOMContentLoaded for dynamic content (ms), used when no readiness strategy is set
+    readiness: null, // What to wait for after DOMContentLoaded: { networkIdle, selector, predicate, delay, maxWait } (src/readiness.js)
+    readinessRules: [], // Per-URL strategies: [{ match: glob or /regex/ on path + query, ...strategy }]; the first match wins
+    autoScroll: false, // Scroll through every page before saving it so lazy content loads: true or { step, delay, maxScrolls, settle }
+    states: [], // Client-side states saved as extra pages: [{ match, name, each: selector } or { match, name, next: selector, max }] (src/states.js)
+    interactions: [], // Run before saving: [{ match, steps: [{ click, all, repeat, wait }, ...] or script: function(page, url, scraper) or path }]; every matching rule runs
+    navigationTimeout: 60000, // Page load timeout (ms)
+    downloadTimeout: 30000, // Timeout for resource downloads and other Node-side requests (ms)
+    viewport: { width: 1920, height: 1080 },
+    userAgent: DEFAULT_USER_AGENT, // Sent by the browser tabs and the Node-side downloads
+    cookies: null, // Cookie jar (Netscape cookies.txt or JSON) loaded into the browser before the crawl
+    login: null, // Login step before the crawl: function(page, scraper), path to a script exporting one, or a form { url, fields, submit, successSelector }
+    httpAuth: null, // HTTP basic auth for the site's hosts: 'user:password' or { username, password }
+    headers: {}, // Extra request headers for the site's own hosts: { Name: value } or ['Name: value']
+    denyUrls: [], // Globs or regexes on path + query that are never visited (added to the built-in logout/delete list)
+    defaultDenyList: true, // Skip logout, delete and similar URLs (DEFAULT_DENY_PATTERNS in src/scope.js)
+    loginPages: [], // Extra globs or regexes for the login page; a redirect there means the session was lost
+    loggedInSelector: null, // Selector present on every page while logged in (e.g. the logout link)
+    maxRelogins: 3, // Re-login attempts after session loss before the crawl stops
+    hooks: {} // beforeNavigate(page, url), transformHtml(html, url), filterResource(url, pageUrl)
+};
+
+// Puppeteer resource types -> resource types used by scrapePage
+const CAPTURE_RESOURCE_TYPES = {
+    stylesheet: 'css',
+    image: 'image',
+    script: 'js',
+    font: 'font',
+    media: 'media',
+    xhr: 'data',
+    fetch: 'data',
+    manifest: 'other',
+    other: 'other'
+};
+
+// Thrown when an authenticated crawl lost its session and could not log in again; stops the crawl
+class SessionLostError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SessionLostError';
+    }
+}
+
+// Run at most `limit` async tasks at once; extra calls wait in FIFO order
+function createLimiter(limit) {
+    let active = 0;
+    const queue = [];
+    
+    const next = () => {
+        if (active >= limit || queue.length === 0) {
+            return;
+        }
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+    
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+// Events: page:start, page:saved, page:failed, resource:downloaded, resource:failed, done
+class WebsiteScraper extends EventEmitter {
+    constructor(baseUrl, outputDir = 'scraped-site', options = {}) {
+        super();
         this.baseUrl = baseUrl;
         this.baseDomain = new URL(baseUrl).hostname;
         this.outputDir = outputDir;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        if (this.options.replayApi) {
+            this.options.capture = true;
+        }
+        if (this.options.wacz) {
+            this.options.warc = true;
+        }
+        this.httpAuth = parseHttpAuth(this.options.httpAuth);
+        this.extraHeaders = normalizeHeaders(this.options.headers);
+        if (this.options.archive && !ARCHIVE_FORMATS.includes(this.options.archive)) {
+            throw new Error(`Unsupported archive format: ${this.options.archive} (expected ${ARCHIVE_FORMATS.join(' or ')})`);
+        }
         this.visitedUrls = new Set();
         this.pendingUrls = new Set();
+        this.inProgressUrls = new Set(); // URLs taken off the frontier but not finished yet
         this.downloadedResources = new Set();
+        this.processedStylesheets = new Set(); // stylesheet URLs whose references were downloaded and rewritten
         this.browser = null;
         this.page = null;
-        this.sitemap = new Map(); // URL -> { title, links, resources, timestamp }
+        this.pages = [];
+        this.hostActivePages = new Map(); // host -> number of tabs currently loading it
+        this.hostAvailableAt = new Map(); // host -> timestamp before which no new page is started
+        this.robots = new Map(); // host -> { rules, crawlDelay, sitemaps }
+        this.urlDepths = new Map(); // URL -> number of links followed from the start URL
+        this.includePatterns = compilePatterns(this.options.include);
+        this.excludePatterns = compilePatterns(this.options.exclude);
+        this.denyPatterns = [...(this.options.defaultDenyList ? DEFAULT_DENY_PATTERNS : []), ...compilePatterns(this.options.denyUrls)];
+        this.deniedUrls = new Set();
+        // Session tracking for crawls that log in or load cookies
+        this.sessionAuthenticated = Boolean(this.options.cookies || this.options.login);
+        this.loginPatterns = [...DEFAULT_LOGIN_PATTERNS, ...compilePatterns(this.options.loginPages)];
+        if (this.options.login && typeof this.options.login === 'object' && this.options.login.url) {
+            const loginPath = new URL(this.options.login.url, baseUrl).pathname;
+            this.loginPatterns.push(new RegExp('^' + loginPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '(\\?|$)'));
+        }
+        this.relogins = 0;
+        this.relogin = null; // In-flight re-login shared by all tabs
+        this.stopError = null; // Set when the crawl has to stop early, e.g. after losing the session
+        this.readiness = normalizeReadiness(this.options.readiness || { delay: this.options.pageWait });
+        this.readinessRules = this.options.readinessRules.map(rule => ({
+            pattern: compilePattern(rule.match),
+            strategy: normalizeReadiness(rule, this.readiness)
+        }));
+        this.interactionRules = this.options.interactions.map(rule => ({
+            pattern: rule.match ? compilePattern(rule.match) : null,
+            steps: rule.steps || null,
+            script: this.loadInteractionScript(rule.script)
+        }));
+        this.stateRules = this.options.states.map(rule => ({
+            pattern: rule.match ? compilePattern(rule.match) : null,
+            ...normalizeStateRule(rule)
+        }));
+        this.startDirectory = getStartDirectory(baseUrl);
+        // Internal hosts; the www./apex twin of the base host is the same site and shares its file layout
+        this.internalHosts = [this.baseDomain, ...this.options.allowedHosts];
+        this.siteHosts = this.internalHosts.filter(host => host === this.baseDomain || isWwwTwin(host, this.baseDomain));
+        this.urlMap = new UrlFileMap(baseUrl, this.siteHosts, GENERATED_FILES); // URL -> saved file, written to url-map.json
+        this.frontierWaiters = [];
+        this.activeDownloads = new Map(); // URL -> in-flight download promise
+        this.pageCaptures = new Map(); // tab -> resources captured during the current page load
+        this.apiResponses = new Map(); // "METHOD URL" -> { method, url, status, contentType, file, pages }
+        this.warcWriter = null;
+        this.warcIndexFile = null;
+        this.warcRecordedUrls = new Set();
+        this.warcPending = new Set();
+        this.downloadLimit = createLimiter(Math.max(1, this.options.downloadConcurrency));
+        this.sitemap = new Map(); // URL -> { title, links, resources, timestamp, readiness }
+        this.stateFile = path.join(outputDir, STATE_FILE_NAME);
+        this.stateWrite = Promise.resolve();
+        this.pagesSinceCheckpoint = 0;
+        this.lastCheckpointAt = Date.now();
+        this.manifestFile = path.join(outputDir, MANIFEST_FILE_NAME);
+        this.manifest = { pages: {}, resources: {} }; // URL -> { etag, lastModified, hash, file, checkedAt }
+        this.previousManifest = { pages: {}, resources: {} };
+        this.previousSitemap = new Map(); // URL -> page entry from the previous sitemap.json
+        this.changes = { pages: new Map(), resources: new Map() }; // URL -> 'added' | 'changed' | 'unchanged'
+        this.failedResources = new Map(); // URL -> { status, error, file, failedAt }
+    }
+
+    // Write the crawl frontier, visited set, resource map and sitemap entries to disk.
+    // Pages that were in progress are stored as pending so a resumed run renders them again.
+    // The state file holds the whole crawl, so rewriting it after every page would cost O(n²) on large
+    // sites. It is saved every checkpointPages pages or checkpointInterval ms, and always when the
+    // crawl completes, fails or is interrupted.
+    async checkpoint() {
+        this.pagesSinceCheckpoint++;
+        if (this.pagesSinceCheckpoint >= this.options.checkpointPages || Date.now() - this.lastCheckpointAt >= this.options.checkpointInterval) {
+            await this.saveState();
+        }
+    }
+
+    async saveState(status = 'running') {
+        this.pagesSinceCheckpoint = 0;
+        this.lastCheckpointAt = Date.now();
+        const state = {
+            version: STATE_VERSION,
+            baseUrl: this.baseUrl,
+            status: status,
+            savedAt: new Date().toISOString(),
+            visitedUrls: Array.from(this.visitedUrls),
+            pendingUrls: [...this.inProgressUrls, ...this.pendingUrls],
+            downloadedResources: Array.from(this.downloadedResources),
+            processedStylesheets: Array.from(this.processedStylesheets),
+            urlDepths: Array.from(this.urlDepths.entries()),
+            apiResponses: Array.from(this.apiResponses.entries()),
+            sitemap: Array.from(this.sitemap.entries()),
+            manifest: this.manifest,
+            failedResources: Array.from(this.failedResources.entries()),
+            urlMap: this.urlMap.toJSON(),
+            changes: {
+                pages: Array.from(this.changes.pages.entries()),
+                resources: Array.from(this.changes.resources.entries())
+            }
+        };
+
+        // Serialize writes so a checkpoint triggered by a signal never interleaves with a regular one
+        this.stateWrite = this.stateWrite.then(async () => {
+            const tempFile = `${this.stateFile}.tmp`;
+            await fs.ensureDir(this.outputDir);
+            await fs.writeFile(tempFile, JSON.stringify(state), 'utf8');
+            await fs.rename(tempFile, this.stateFile);
+        }).catch(error => {
+            console.error(`Could not save crawl state to ${this.stateFile}:`, error.message);
+        });
+
+        return this.stateWrite;
+    }
+
+    // Restore a previous run from the state file. Returns false when there is nothing to resume.
+    async loadState() {
+        let state;
+        try {
+            state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Could not read crawl state from ${this.stateFile}:`, error.message);
+            }
+            return false;
+        }
+
+        if (state.version !== STATE_VERSION) {
+            console.log(`Ignoring crawl state with unsupported version ${state.version}`);
+            return false;
+        }
+
+        if (state.baseUrl !== this.baseUrl) {
+            console.log(`Ignoring crawl state for a different site: ${state.baseUrl}`);
+            return false;
+        }
+
+        this.visitedUrls = new Set(state.visitedUrls);
+        this.pendingUrls = new Set(state.pendingUrls.filter(url => !this.visitedUrls.has(url)));
+        this.downloadedResources = new Set(state.downloadedResources);
+        this.processedStylesheets = new Set(state.processedStylesheets || []);
+        this.sitemap = new Map(state.sitemap);
+        this.urlDepths = new Map(state.urlDepths || []);
+        this.apiResponses = new Map(state.apiResponses || []);
+        this.failedResources = new Map(state.failedResources || []);
+        this.urlMap.load(state.urlMap);
+        if (state.manifest) {
+            this.manifest = state.manifest;
+        }
+        if (state.changes) {
+            this.changes = {
+                pages: new Map(state.changes.pages),
+                resources: new Map(state.changes.resources)
+            };
+        }
+
+        console.log(`Resuming crawl saved at ${state.savedAt}: ${this.visitedUrls.size} pages done, ${this.pendingUrls.size} pending`);
+        return true;
     }
 
-    async downloadResource(url, outputPath, page = null) {
+    // Download a resource once. Returns its file relative to the output directory, or null when it
+    // could not be downloaded. `type` is the kind of reference (css, js, image...) for naming the file.
+    async downloadResource(url, page = null, type = null) {
         if (this.downloadedResources.has(url)) {
-            console.log(`Skipping already downloaded: ${path.basename(outputPath)}`);
-            return true; // Already downloaded
+            const localPath = this.getResourcePath(url, type);
+            console.log(`Skipping already downloaded: ${path.basename(localPath)}`);
+            return localPath;
+        }
+
+        // Another tab may already be fetching the same resource
+        if (this.activeDownloads.has(url)) {
+            return this.activeDownloads.get(url);
         }
 
-        // Check if file already exists on disk
+        const download = this.downloadLimit(() => this.fetchResource(url, page, type));
+        this.activeDownloads.set(url, download);
         try {
-            await fs.access(outputPath);
-            console.log(`File already exists: ${path.basename(outputPath)}`);
-            this.downloadedResources.add(url);
-            return true;
+            const localPath = await download;
+            if (localPath) {
+                this.emitResourceDownloaded(url, path.join(this.outputDir, localPath));
+            }
+            return localPath;
         } catch (error) {
-            // File doesn't exist, proceed with download
+            this.recordFailedResource(url, null, error.message);
+            throw error;
+        } finally {
+            this.activeDownloads.delete(url);
+        }
+    }
+
+    // Remember a resource that could not be downloaded; `verify` reports these from the manifest
+    recordFailedResource(url, status, message) {
+        const entry = {
+            status: status,
+            error: message,
+            file: this.urlMap.fileFor(url) || null,
+            failedAt: new Date().toISOString()
+        };
+        this.failedResources.set(url, entry);
+        this.emit('resource:failed', { url, ...entry });
+    }
+
+    // status is 'added', 'changed' or 'unchanged' compared with the previous run, or 'existing' for
+    // files kept from disk without a check
+    emitResourceDownloaded(url, outputPath) {
+        this.emit('resource:downloaded', {
+            url: url,
+            file: path.relative(this.outputDir, outputPath).replace(/\\/g, '/'),
+            status: this.changes.resources.get(url) || 'existing'
+        });
+    }
+
+    // The site's own hosts (and --allowed-hosts), the only ones credentials and extra headers go to
+    isInternalHost(hostname) {
+        return this.internalHosts.some(host => host === hostname || isWwwTwin(host, hostname));
+    }
+
+    // Headers for Node-side requests: browser-like user agent plus the browser session's cookies and,
+    // for the site's own hosts, extra headers and HTTP basic auth
+    async buildRequestHeaders(url, page, accept = 'text/css,*/*;q=0.1') {
+        let cookieHeader = '';
+        // All tabs share one browser context, so any tab can read the session cookies
+        const cookieSource = page || this.page;
+        if (cookieSource) {
+            try {
+                const cookies = await cookieSource.cookies(url);
+                if (cookies.length > 0) {
+                    cookieHeader = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+                }
+            } catch (cookieError) {
+                console.log(`Could not get cookies for ${url}: ${cookieError.message}`);
+            }
+        }
+        
+        const headers = {
+            'User-Agent': this.options.userAgent,
+            'Accept': accept,
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Accept-Encoding': 'gzip, deflate, br',
+            'Connection': 'keep-alive',
+            'Upgrade-Insecure-Requests': '1'
+        };
+        
+        if (cookieHeader) {
+            headers['Cookie'] = cookieHeader;
+        }
+        
+        if (this.isInternalHost(new URL(url).hostname)) {
+            Object.assign(headers, this.extraHeaders);
+        }
+        if (this.httpAuth && this.isInternalHost(new URL(url).hostname)) {
+            headers['Authorization'] = 'Basic ' + Buffer.from(`${this.httpAuth.username}:${this.httpAuth.password}`).toString('base64');
+        }
+        
+        return headers;
+    }
+
+    // Conditional request headers built from a manifest entry
+    validatorHeaders(entry) {
+        const headers = {};
+        if (entry && entry.etag) {
+            headers['If-None-Match'] = entry.etag;
+        }
+        if (entry && entry.lastModified) {
+            headers['If-Modified-Since'] = entry.lastModified;
+        }
+        return headers;
+    }
+
+    // GET a resource from Node into the file the URL maps to. `fetchUrl` differs from `url` after a
+    // redirect: the file keeps the name of the URL the page referenced.
+    async fetchResource(url, page = null, type = null, fetchUrl = url) {
+        if (this.downloadedResources.has(url)) {
+            return this.getResourcePath(url, type);
+        }
+
+        const previous = this.previousManifest.resources[url];
+        const knownFile = this.urlMap.fileFor(url);
+        const knownFileExists = Boolean(knownFile) && await fs.pathExists(path.join(this.outputDir, knownFile));
+
+        // Keep the file from an earlier run. In update mode it is revalidated against the server instead.
+        if (knownFileExists && !this.options.update) {
+            console.log(`File already exists: ${path.basename(knownFile)}`);
+            this.downloadedResources.add(url);
+            if (previous) {
+                this.manifest.resources[url] = previous;
+            }
+            return knownFile;
         }
 
         try {
-            const urlObj = new URL(url);
-            const protocol = urlObj.protocol === 'https:' ? https : http;
+            const protocol = new URL(fetchUrl).protocol === 'https:' ? https : http;
             
-            await fs.ensureDir(path.dirname(outputPath));
+            console.log(`Starting download: ${fetchUrl}`);
             
-            console.log(`Starting download: ${url} -> ${outputPath}`);
+            // Get cookies from current browser session if page is available
+            const headers = await this.buildRequestHeaders(fetchUrl, page);
+            if (this.options.update && knownFileExists) {
+                Object.assign(headers, this.validatorHeaders(previous));
+            }
             
-            return new Promise(async (resolve, reject) => {
-                const file = fs.createWriteStream(outputPath);
-                
-                // Get cookies from current browser session if page is available
-                let cookieHeader = '';
-                if (page) {
-                    try {
-                        const cookies = await page.cookies(url);
-                        if (cookies.length > 0) {
-                            cookieHeader = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
-                        }
-                    } catch (cookieError) {
-                        console.log(`Could not get cookies for ${url}: ${cookieError.message}`);
-                    }
-                }
-                
-                const headers = {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                    'Accept': 'text/css,*/*;q=0.1',
-                    'Accept-Language': 'en-US,en;q=0.9',
-                    'Accept-Encoding': 'gzip, deflate, br',
-                    'Connection': 'keep-alive',
-                    'Upgrade-Insecure-Requests': '1'
-                };
-                
-                if (cookieHeader) {
-                    headers['Cookie'] = cookieHeader;
-                }
-                
-                const request = protocol.get(url, { headers }, (response) => {
+            return await new Promise((resolve, reject) => {
+                const request = protocol.get(fetchUrl, { headers }, (response) => {
                     if (response.statusCode === 200) {
-                        let downloadedBytes = 0;
-                        let stream = response;
-                        
-                        // Handle gzip compression
-                        const encoding = response.headers['content-encoding'];
-                        if (encoding === 'gzip') {
-                            console.log(`  Decompressing gzip content for: ${path.basename(outputPath)}`);
-                            stream = response.pipe(zlib.createGunzip());
-                        } else if (encoding === 'deflate') {
-                            console.log(`  Decompressing deflate content for: ${path.basename(outputPath)}`);
-                            stream = response.pipe(zlib.createInflate());
-                        } else if (encoding === 'br') {
-                            console.log(`  Decompressing brotli content for: ${path.basename(outputPath)}`);
-                            stream = response.pipe(zlib.createBrotliDecompress());
-                        }
-                        
-                        stream.on('data', (chunk) => {
-                            downloadedBytes += chunk.length;
-                        });
-                        
-                        stream.pipe(file);
-                        file.on('finish', () => {
-                            file.close();
+                        // The file is named now that the Content-Type is known
+                        const localPath = this.getResourcePath(url, type, response.headers['content-type']);
+                        const outputPath = path.join(this.outputDir, localPath);
+                        // Write to a temporary file so an unchanged or failed download never clobbers the existing copy
+                        const tempPath = `${outputPath}.download`;
+                        this.writeDownload(response, tempPath).then(async ({ hash, bytes }) => {
+                            const entry = this.recordResource(url, outputPath, response.headers, hash);
+                            if (entry.status === 'unchanged' && await fs.pathExists(outputPath)) {
+                                await fs.unlink(tempPath);
+                                console.log(`Unchanged resource: ${localPath}`);
+                            } else {
+                                await fs.rename(tempPath, outputPath);
+                                console.log(`Downloaded resource: ${localPath} (${bytes} bytes, ${response.headers['content-type'] || 'unknown type'})`);
+                            }
                             this.downloadedResources.add(url);
-                            console.log(`Downloaded resource: ${path.basename(outputPath)} (${downloadedBytes} bytes, ${response.headers['content-type'] || 'unknown type'})`);
-                            resolve(true);
-                        });
-                        
-                        stream.on('error', (err) => {
-                            file.close();
-                            fs.unlink(outputPath).catch(() => {}); // Clean up on error
-                            reject(err);
-                        });
+                            resolve(localPath);
+                        }).catch(reject);
+                    } else if (response.statusCode === 304) {
+                        // Not modified since the last run: keep the local copy
+                        response.resume();
+                        this.manifest.resources[url] = { ...previous, checkedAt: new Date().toISOString() };
+                        this.changes.resources.set(url, 'unchanged');
+                        this.downloadedResources.add(url);
+                        console.log(`Not modified: ${path.basename(knownFile)}`);
+                        resolve(knownFile);
                     } else if (response.statusCode === 301 || response.statusCode === 302) {
                         // Handle redirects
+                        response.resume();
                         const redirectUrl = response.headers.location;
                         if (redirectUrl) {
-                            const absoluteRedirectUrl = new URL(redirectUrl, url).href;
-                            file.close();
-                            fs.unlink(outputPath).catch(() => {}); // Clean up empty file
-                            this.downloadResource(absoluteRedirectUrl, outputPath).then(resolve).catch(reject);
+                            const absoluteRedirectUrl = new URL(redirectUrl, fetchUrl).href;
+                            this.fetchResource(url, page, type, absoluteRedirectUrl).then(resolve).catch(reject);
                         } else {
-                            file.close();
                             reject(new Error(`Redirect without location header: ${response.statusCode}`));
                         }
                     } else {
+                        response.resume();
                         console.log(`Failed to download ${url}: HTTP ${response.statusCode}`);
-                        file.close();
-                        fs.unlink(outputPath).catch(() => {}); // Clean up empty file
-                        resolve(false);
+                        this.recordFailedResource(url, response.statusCode, `HTTP ${response.statusCode}`);
+                        resolve(null);
                     }
                 });
                 
-                file.on('error', (err) => {
-                    file.close();
-                    fs.unlink(outputPath).catch(() => {}); // Clean up on error
-                    reject(err);
-                });
-                
-                request.on('error', (err) => {
-                    file.close();
-                    fs.unlink(outputPath).catch(() => {}); // Clean up on error
-                    reject(err);
-                });
+                request.on('error', reject);
                 
-                request.setTimeout(30000, () => {
+                request.setTimeout(this.options.downloadTimeout, () => {
                     request.destroy();
-                    file.close();
-                    fs.unlink(outputPath).catch(() => {}); // Clean up on timeout
                     reject(new Error('Download timeout'));
                 });
             });
         } catch (error) {
             console.error(`Error downloading ${url}:`, error.message);
-            return false;
+            this.recordFailedResource(url, null, error.message);
+            return null;
+        }
+    }
+
+    // Stream a response body, decompressed, to `tempPath`. Resolves with its sha256 and size.
+    async writeDownload(response, tempPath) {
+        await fs.ensureDir(path.dirname(tempPath));
+        return new Promise((resolve, reject) => {
+            let stream = response;
+            const encoding = response.headers['content-encoding'];
+            if (encoding === 'gzip') {
+                stream = response.pipe(zlib.createGunzip());
+            } else if (encoding === 'deflate') {
+                stream = response.pipe(zlib.createInflate());
+            } else if (encoding === 'br') {
+                stream = response.pipe(zlib.createBrotliDecompress());
+            }
+
+            const hash = crypto.createHash('sha256');
+            let bytes = 0;
+            const file = fs.createWriteStream(tempPath);
+            const fail = (error) => {
+                file.destroy();
+                fs.unlink(tempPath).catch(() => {}); // Clean up on error
+                reject(error);
+            };
+            stream.on('data', (chunk) => {
+                bytes += chunk.length;
+                hash.update(chunk);
+            });
+            stream.on('error', fail);
+            response.on('aborted', () => fail(new Error('Download aborted')));
+            file.on('error', fail);
+            file.on('finish', () => resolve({ hash: hash.digest('hex'), bytes }));
+            stream.pipe(file);
+        });
+    }
+
+    // Load validators and sitemap entries from the previous completed run
+    async loadManifest() {
+        try {
+            const manifest = JSON.parse(await fs.readFile(this.manifestFile, 'utf8'));
+            if (manifest.version === MANIFEST_VERSION && manifest.baseUrl === this.baseUrl) {
+                this.previousManifest = manifest;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Could not read manifest from ${this.manifestFile}:`, error.message);
+            }
+        }
+
+        try {
+            const sitemapData = JSON.parse(await fs.readFile(path.join(this.outputDir, 'sitemap.json'), 'utf8'));
+            for (const page of sitemapData.pages || []) {
+                this.previousSitemap.set(page.url, page);
+            }
+        } catch (error) {
+            // No previous sitemap: unchanged pages cannot be reused and are rendered again
+        }
+
+        // Files keep the names of the previous run. Copies made before url-map.json existed are
+        // mapped from their manifest and sitemap entries.
+        try {
+            this.urlMap.load(JSON.parse(await fs.readFile(path.join(this.outputDir, URL_MAP_FILE), 'utf8')));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Could not read ${URL_MAP_FILE}:`, error.message);
+            }
+        }
+        for (const [url, entry] of Object.entries(this.previousManifest.resources)) {
+            if (entry.file) {
+                this.urlMap.claim(url, entry.file);
+            }
+        }
+        for (const [url, page] of this.previousSitemap) {
+            if (page.fileName) {
+                this.urlMap.claim(url, page.fileName);
+            }
+        }
+
+        const pageCount = Object.keys(this.previousManifest.pages).length;
+        const resourceCount = Object.keys(this.previousManifest.resources).length;
+        if (pageCount > 0 || resourceCount > 0) {
+            console.log(`Loaded manifest with ${pageCount} pages and ${resourceCount} resources`);
+        }
+    }
+
+    async saveManifest() {
+        const manifest = {
+            version: MANIFEST_VERSION,
+            baseUrl: this.baseUrl,
+            generatedAt: new Date().toISOString(),
+            pages: this.manifest.pages,
+            resources: this.manifest.resources,
+            failed: Object.fromEntries(this.failedResources)
+        };
+        await fs.writeFile(this.manifestFile, JSON.stringify(manifest, null, 2), 'utf8');
+        console.log(`Manifest saved: ${this.manifestFile}`);
+    }
+
+    // Store the validators of a downloaded resource and classify it against the previous run
+    recordResource(url, outputPath, headers, hash) {
+        const previous = this.previousManifest.resources[url];
+        const entry = {
+            etag: headers['etag'] || null,
+            lastModified: headers['last-modified'] || null,
+            contentType: headers['content-type'] || null,
+            hash: hash,
+            file: path.relative(this.outputDir, outputPath).replace(/\\/g, '/'),
+            checkedAt: new Date().toISOString()
+        };
+        this.manifest.resources[url] = entry;
+        this.failedResources.delete(url);
+
+        const status = !previous ? 'added' : (previous.hash === hash ? 'unchanged' : 'changed');
+        this.changes.resources.set(url, status);
+        return { ...entry, status };
+    }
+
+    // Store the validators of a rendered page from its Puppeteer navigation response
+    async recordPage(url, fileName, response) {
+        const headers = response ? response.headers() : {};
+        let hash = null;
+        if (response) {
+            try {
+                hash = crypto.createHash('sha256').update(await response.buffer()).digest('hex');
+            } catch (error) {
+                // Redirect responses and some cached responses have no body available
+            }
+        }
+
+        const previous = this.previousManifest.pages[url];
+        this.manifest.pages[url] = {
+            etag: headers['etag'] || null,
+            lastModified: headers['last-modified'] || null,
+            hash: hash,
+            file: fileName,
+            checkedAt: new Date().toISOString()
+        };
+
+        const status = !previous ? 'added' : (hash && previous.hash === hash ? 'unchanged' : 'changed');
+        this.changes.pages.set(url, status);
+    }
+
+    // GET a URL from Node and buffer the decompressed body
+    requestBuffer(url, headers) {
+        return new Promise((resolve, reject) => {
+            const protocol = new URL(url).protocol === 'https:' ? https : http;
+            const request = protocol.get(url, { headers }, (response) => {
+                let stream = response;
+                const encoding = response.headers['content-encoding'];
+                if (encoding === 'gzip') {
+                    stream = response.pipe(zlib.createGunzip());
+                } else if (encoding === 'deflate') {
+                    stream = response.pipe(zlib.createInflate());
+                } else if (encoding === 'br') {
+                    stream = response.pipe(zlib.createBrotliDecompress());
+                }
+
+                const chunks = [];
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('end', () => resolve({
+                    statusCode: response.statusCode,
+                    headers: response.headers,
+                    body: Buffer.concat(chunks)
+                }));
+                stream.on('error', reject);
+            });
+
+            request.on('error', reject);
+            request.setTimeout(this.options.downloadTimeout, () => {
+                request.destroy();
+                reject(new Error('Request timeout'));
+            });
+        });
+    }
+
+    // In update mode, ask the server whether a page changed since the last run.
+    // Returns the previous sitemap entry when the saved copy can be kept, null otherwise.
+    async checkPageUnchanged(url, page) {
+        const previous = this.previousManifest.pages[url];
+        const previousPage = this.previousSitemap.get(url);
+        if (!previous || !previousPage || !await fs.pathExists(path.join(this.outputDir, previous.file))) {
+            return null;
+        }
+
+        try {
+            const headers = {
+                ...await this.buildRequestHeaders(url, page, 'text/html,application/xhtml+xml,*/*;q=0.8'),
+                ...this.validatorHeaders(previous)
+            };
+            const response = await this.requestBuffer(url, headers);
+
+            let entry = null;
+            if (response.statusCode === 304) {
+                entry = { ...previous };
+            } else if (response.statusCode === 200 && previous.hash &&
+                       crypto.createHash('sha256').update(response.body).digest('hex') === previous.hash) {
+                // No validators or a weak server: the body itself is identical
+                entry = {
+                    ...previous,
+                    etag: response.headers['etag'] || null,
+                    lastModified: response.headers['last-modified'] || null
+                };
+            }
+
+            if (!entry) {
+                return null;
+            }
+
+            entry.checkedAt = new Date().toISOString();
+            this.manifest.pages[url] = entry;
+            this.changes.pages.set(url, 'unchanged');
+            return previousPage;
+        } catch (error) {
+            console.log(`Could not revalidate ${url}, rendering it again: ${error.message}`);
+            return null;
         }
     }
 
-    async processCssFile(cssFilePath, originalCssUrl) {
+    // Keep the saved copy of an unchanged page: restore its sitemap entry, follow its links
+    // and revalidate the resources it references
+    async reuseUnchangedPage(url, previousPage, page) {
+        console.log(`Unchanged page, keeping saved copy: ${url}`);
+
+        this.sitemap.set(url, {
+            title: previousPage.title,
+            links: previousPage.links,
+            resources: previousPage.resources,
+            timestamp: previousPage.scrapedAt,
+            readiness: previousPage.readiness
+        });
+
+        const newLinksAdded = this.queueLinks(previousPage.links, this.getDepth(url) + 1);
+        console.log(`Added ${newLinksAdded} new URLs to scrape queue`);
+
+        await Promise.all(previousPage.resources.map(async (resourceUrl) => {
+            try {
+                const localPath = await this.downloadResource(resourceUrl, page);
+                if (localPath && localPath.endsWith('.css')) {
+                    await this.processCssFile(path.join(this.outputDir, localPath), resourceUrl, page, url);
+                }
+            } catch (error) {
+                console.error(`Error revalidating resource ${resourceUrl}:`, error.message);
+            }
+        }));
+    }
+
+    // Compare this run with the previous manifest and write update-report.json
+    async writeUpdateReport() {
+        const collect = (changes, status) => Array.from(changes)
+            .filter(([, value]) => value === status)
+            .map(([url]) => url)
+            .sort();
+
+        const report = {
+            baseUrl: this.baseUrl,
+            generatedAt: new Date().toISOString(),
+            pages: {
+                added: collect(this.changes.pages, 'added'),
+                changed: collect(this.changes.pages, 'changed'),
+                unchanged: collect(this.changes.pages, 'unchanged'),
+                removed: Object.keys(this.previousManifest.pages).filter(url => !this.manifest.pages[url]).sort()
+            },
+            resources: {
+                added: collect(this.changes.resources, 'added'),
+                changed: collect(this.changes.resources, 'changed'),
+                unchanged: collect(this.changes.resources, 'unchanged'),
+                removed: Object.keys(this.previousManifest.resources).filter(url => !this.manifest.resources[url]).sort()
+            }
+        };
+
+        const reportPath = path.join(this.outputDir, 'update-report.json');
+        await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+
+        console.log('Update summary:');
+        console.log(`  Pages: ${report.pages.added.length} added, ${report.pages.changed.length} changed, ${report.pages.unchanged.length} unchanged, ${report.pages.removed.length} removed`);
+        console.log(`  Resources: ${report.resources.added.length} added, ${report.resources.changed.length} changed, ${report.resources.unchanged.length} unchanged, ${report.resources.removed.length} removed`);
+        console.log(`Update report saved: ${reportPath}`);
+
+        return report;
+    }
+
+    // Download what a stylesheet references (url(), @import, image-set(), font-face src lists) and
+    // point the references at the local files. Imported stylesheets are processed the same way;
+    // `pageUrl` is the page that loaded the stylesheet (for the filterResource hook) and `imports` the
+    // chain of stylesheets that led here, so an import cycle stops. A stylesheet is processed once
+    // per run: a second pass would resolve the local paths against the original URL.
+    async processCssFile(cssFilePath, originalCssUrl, page = this.page, pageUrl = originalCssUrl, imports = []) {
+        if (imports.includes(originalCssUrl)) {
+            console.log(`  Import cycle, not following: ${[...imports, originalCssUrl].join(' -> ')}`);
+            return;
+        }
+        if (this.processedStylesheets.has(originalCssUrl)) {
+            return;
+        }
+        this.processedStylesheets.add(originalCssUrl);
+        const status = this.changes.resources.get(originalCssUrl);
+        if (status !== 'added' && status !== 'changed') {
+            // The saved copy is already rewritten; what it references still has to be revalidated
+            await this.revalidateCssDependencies(cssFilePath, originalCssUrl, page, pageUrl, imports);
+            return;
+        }
+
+        const dependencies = [];
         try {
             const cssContent = await fs.readFile(cssFilePath, 'utf8');
-            const cssBaseUrl = new URL(originalCssUrl).href;
+            const cssFile = path.relative(this.outputDir, cssFilePath).replace(/\\/g, '/');
             
             console.log(`Processing CSS file: ${cssFilePath}`);
             
-            // Find all url() references in CSS - fixed regex pattern
-            const urlMatches = cssContent.match(/url\(['"]?([^'")]+)['"]?\)/g);
-            if (urlMatches) {
-                console.log(`Found ${urlMatches.length} url() references in CSS`);
-                let modifiedCss = cssContent;
-                
-                for (const match of urlMatches) {
-                    const url = match.replace(/url\(['"]?([^'")]+)['"]?\)/, '$1');
-                    try {
-                        const absoluteUrl = new URL(url, cssBaseUrl).href;
-                        const resourceUrl = new URL(absoluteUrl);
+            let referenceCount = 0;
+            const modifiedCss = await replaceCssUrls(cssContent, async (url, reference) => {
+                referenceCount++;
+                try {
+                    const absoluteUrl = new URL(url, originalCssUrl).href;
+                    const resourceUrl = new URL(absoluteUrl);
+                    
+                    // Only download from the stylesheet's own host, or allowed third-party hosts
+                    if (this.shouldDownloadResource(resourceUrl, new URL(originalCssUrl), pageUrl)) {
+                        console.log(`  Downloading CSS resource: ${absoluteUrl}`);
                         
-                        // Only download from same domain
-                        if (resourceUrl.hostname === new URL(originalCssUrl).hostname) {
-                            const localPath = this.getResourcePath(absoluteUrl);
-                            const fullPath = path.join(this.outputDir, localPath);
-                            
-                            console.log(`  Downloading CSS resource: ${absoluteUrl} -> ${localPath}`);
-                            
-                            if (await this.downloadResource(absoluteUrl, fullPath, this.page)) {
-                                // Update the CSS content with the local path
-                                const relativePath = path.relative(path.dirname(cssFilePath), fullPath).replace(/\\/g, '/');
-                                modifiedCss = modifiedCss.replace(match, `url('${relativePath}')`);
-                                console.log(`  Updated CSS reference: ${url} -> ${relativePath}`);
-                            } else {
-                                console.log(`  Failed to download CSS resource: ${absoluteUrl}`);
+                        const isImport = reference.kind === 'import';
+                        const localPath = await this.downloadResource(absoluteUrl, page, isImport ? 'css' : null);
+                        if (localPath) {
+                            dependencies.push({ url: absoluteUrl, type: isImport ? 'css' : null });
+                            if (isImport) {
+                                await this.processCssFile(path.join(this.outputDir, localPath), absoluteUrl, page, pageUrl, [...imports, originalCssUrl]);
                             }
-                        } else {
-                            console.log(`  Skipping external CSS resource: ${absoluteUrl}`);
+                            // Update the CSS content with the local path
+                            const relativePath = relativeHref(cssFile, localPath);
+                            console.log(`  Updated CSS reference: ${url} -> ${relativePath}`);
+                            return relativePath;
                         }
-                    } catch (error) {
-                        console.error(`Error processing CSS URL ${url}:`, error.message);
+                        console.log(`  Failed to download CSS resource: ${absoluteUrl}`);
+                    } else {
+                        console.log(`  Skipping external CSS resource: ${absoluteUrl}`);
                     }
+                } catch (error) {
+                    console.error(`Error processing CSS URL ${url}:`, error.message);
                 }
-                
+                return null;
+            });
+            
+            if (referenceCount === 0) {
+                console.log(`No references found in CSS file: ${cssFilePath}`);
+            } else if (modifiedCss !== cssContent) {
                 // Write back the modified CSS if it changed
-                if (modifiedCss !== cssContent) {
-                    await fs.writeFile(cssFilePath, modifiedCss, 'utf8');
-                    console.log(`Updated CSS file: ${cssFilePath}`);
-                } else {
-                    console.log(`No changes needed for CSS file: ${cssFilePath}`);
-                }
+                console.log(`Found ${referenceCount} references in CSS`);
+                await fs.writeFile(cssFilePath, modifiedCss, 'utf8');
+                console.log(`Updated CSS file: ${cssFilePath}`);
             } else {
-                console.log(`No url() references found in CSS file: ${cssFilePath}`);
+                console.log(`Found ${referenceCount} references in CSS`);
+                console.log(`No changes needed for CSS file: ${cssFilePath}`);
+            }
+            if (this.manifest.resources[originalCssUrl]) {
+                this.manifest.resources[originalCssUrl].dependencies = dependencies;
             }
         } catch (error) {
             console.error(`Error processing CSS file ${cssFilePath}:`, error.message);
         }
     }
 
-    getResourcePath(url) {
-        try {
-            const urlObj = new URL(url);
-            let pathname = urlObj.pathname;
-            
-            // Remove leading slash
-            if (pathname.startsWith('/')) {
-                pathname = pathname.substring(1);
-            }
-            
-            // If no pathname, use a default name based on the URL
-            if (!pathname) {
-                pathname = 'resource_' + Date.now();
+    // Revalidate the fonts, images and imports of a stylesheet that was not downloaded again, so they
+    // stay in the manifest and url-map.json. They come from the list recorded in the manifest when the
+    // stylesheet was processed, or for copies made before that list existed, from the saved file.
+    async revalidateCssDependencies(cssFilePath, cssUrl, page, pageUrl, imports) {
+        const previous = this.previousManifest.resources[cssUrl];
+        const dependencies = previous && previous.dependencies ? previous.dependencies : await this.readCssDependencies(cssFilePath);
+        if (this.manifest.resources[cssUrl]) {
+            this.manifest.resources[cssUrl].dependencies = dependencies;
+        }
+        for (const dependency of dependencies) {
+            try {
+                const localPath = await this.downloadResource(dependency.url, page, dependency.type);
+                if (localPath && dependency.type === 'css') {
+                    await this.processCssFile(path.join(this.outputDir, localPath), dependency.url, page, pageUrl, [...imports, cssUrl]);
+                }
+            } catch (error) {
+                console.error(`Error revalidating CSS resource ${dependency.url}:`, error.message);
             }
-            
-            // Fix nested assets issue - remove any existing 'assets/' prefix
-            if (pathname.startsWith('assets/')) {
-                pathname = pathname.substring(7);
+        }
+    }
+
+    // Dependencies of a rewritten stylesheet: its local references mapped back to URLs through the URL map
+    async readCssDependencies(cssFilePath) {
+        let css;
+        try {
+            css = await fs.readFile(cssFilePath, 'utf8');
+        } catch (error) {
+            return [];
+        }
+        const cssFile = path.relative(this.outputDir, cssFilePath).replace(/\\/g, '/');
+        const dependencies = [];
+        for (const reference of parseCssReferences(css)) {
+            // References that were not downloaded still point at the live site
+            if (/^([a-z][\w+.-]*:|\/)/i.test(reference.url)) {
+                continue;
             }
-            
-            // Replace invalid filename characters
-            pathname = pathname.replace(/[<>:"|?*]/g, '_');
-            
-            // Ensure we have a file extension
-            if (!path.extname(pathname)) {
-                // Try to guess extension from URL or use a default
-                const segments = pathname.split('/');
-                const lastSegment = segments[segments.length - 1];
-                if (!lastSegment.includes('.') && lastSegment.length > 0) {
-                    // Try to determine file type from the URL path
-                    if (pathname.includes('/css/') || pathname.includes('stylesheet') || pathname.includes('.css')) {
-                        pathname += '.css';
-                    } else if (pathname.includes('/js/') || pathname.includes('javascript') || pathname.includes('.js')) {
-                        pathname += '.js';
-                    } else if (pathname.includes('/img/') || pathname.includes('/images/') || pathname.includes('image')) {
-                        pathname += '.png'; // Default image extension
-                    } else if (pathname.includes('/pdf/') || pathname.includes('document')) {
-                        pathname += '.pdf';
-                    } else if (pathname.includes('/video/') || pathname.includes('mp4')) {
-                        pathname += '.mp4';
-                    } else if (pathname.includes('/audio/') || pathname.includes('mp3')) {
-                        pathname += '.mp3';
-                    } else {
-                        pathname += '.resource'; // Default extension
-                    }
-                }
+            let file;
+            try {
+                file = path.posix.normalize(path.posix.join(path.posix.dirname(cssFile), decodeURIComponent(reference.url.split(/[?#]/)[0])));
+            } catch (error) {
+                continue;
             }
-            
-            // Add query parameters to filename if they exist (to make unique files)
-            if (urlObj.search) {
-                const ext = path.extname(pathname);
-                const name = pathname.slice(0, -ext.length);
-                const queryString = urlObj.search.substring(1).replace(/[<>:"|?*&=]/g, '_');
-                pathname = name + '_' + queryString + ext;
+            const url = this.urlMap.urlFor(file);
+            if (url) {
+                dependencies.push({ url, type: reference.kind === 'import' ? 'css' : null });
             }
-            
-            return 'assets/' + pathname;
-        } catch (error) {
-            return 'assets/unknown_resource_' + Date.now();
         }
+        return dependencies;
+    }
+
+    // Resources on the referrer's host (the page, or the stylesheet that references them) are always
+    // downloaded; others only in cross-origin mode and when the host is allowed. filterResource is
+    // always given the page URL, also for fonts and images referenced from stylesheets.
+    shouldDownloadResource(resourceUrlObj, referrerUrlObj, pageUrl = referrerUrlObj.href) {
+        const { filterResource } = this.options.hooks;
+        if (filterResource && filterResource(resourceUrlObj.href, pageUrl) === false) {
+            return false;
+        }
+        if (resourceUrlObj.hostname === referrerUrlObj.hostname) {
+            return true;
+        }
+        if (!this.options.crossOriginAssets) {
+            return false;
+        }
+        if (resourceUrlObj.protocol !== 'http:' && resourceUrlObj.protocol !== 'https:') {
+            return false;
+        }
+        if (this.options.assetHosts.length > 0 && !matchesHost(this.options.assetHosts, resourceUrlObj.hostname)) {
+            return false;
+        }
+        return !matchesHost(this.options.denyAssetHosts, resourceUrlObj.hostname);
+    }
+
+    // Local file of a resource, named once and kept for the whole run (see src/url-map.js).
+    // The Content-Type of the response decides the extension when the URL has none.
+    getResourcePath(url, type = null, contentType = null) {
+        return this.urlMap.resourceFile(url, { type, contentType });
     }
 
     async initialize() {
@@ -285,53 +976,728 @@ class WebsiteScraper {
                 '--disable-gpu'
             ]
         });
-        this.page = await this.browser.newPage();
         
-        // Set a reasonable viewport and user agent
-        await this.page.setViewport({ width: 1920, height: 1080 });
-        await this.page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+        // One tab per worker; this.page stays the first tab for single-page callers
+        const tabCount = Math.max(1, this.options.concurrency);
+        for (let i = 0; i < tabCount; i++) {
+            this.pages.push(await this.createPage());
+        }
+        this.page = this.pages[0];
         
-        // Set longer timeouts
-        this.page.setDefaultTimeout(60000);
-        this.page.setDefaultNavigationTimeout(60000);
+        await this.setupSession();
         
         // Ensure output directory exists
         await fs.ensureDir(this.outputDir);
         await fs.ensureDir(path.join(this.outputDir, 'assets'));
+        
+        if (this.options.replayApi) {
+            await fs.writeFile(path.join(this.outputDir, REPLAY_SHIM_FILE), REPLAY_SHIM_SOURCE, 'utf8');
+        }
     }
 
-    async scrape() {
+    // Fetch and cache robots.txt for a host. A missing or unreachable file allows everything.
+    async loadRobots(origin) {
+        const host = new URL(origin).host;
+        if (this.robots.has(host)) {
+            return this.robots.get(host);
+        }
+
+        const robotsUrl = new URL('/robots.txt', origin).href;
+        let entry = { rules: [], crawlDelay: null, sitemaps: [] };
         try {
-            await this.initialize();
+            const response = await this.requestBuffer(robotsUrl, await this.buildRequestHeaders(robotsUrl, null, 'text/plain,*/*;q=0.8'));
+            if (response.statusCode === 200) {
+                const parsed = parseRobotsTxt(response.body.toString('utf8'));
+                entry = { ...getRobotsRules(parsed, this.options.robotsUserAgent), sitemaps: parsed.sitemaps };
+                console.log(`Loaded ${robotsUrl}: ${entry.rules.length} rules for "${this.options.robotsUserAgent}"${entry.crawlDelay !== null ? `, crawl-delay ${entry.crawlDelay}s` : ''}`);
+            } else {
+                console.log(`No robots.txt at ${robotsUrl} (HTTP ${response.statusCode}), crawling without restrictions`);
+            }
+        } catch (error) {
+            console.log(`Could not fetch ${robotsUrl}: ${error.message}`);
+        }
+
+        this.robots.set(host, entry);
+        return entry;
+    }
+
+    isAllowedByRobots(urlObj) {
+        if (!this.options.respectRobots) {
+            return true;
+        }
+        const entry = this.robots.get(urlObj.host);
+        return !entry || isPathAllowed(entry.rules, urlObj.pathname + urlObj.search);
+    }
+
+    // Pause between two page loads on a host: the configured delay or the site's Crawl-delay, whichever is longer
+    getHostDelay(host) {
+        const entry = this.options.respectRobots ? this.robots.get(host) : null;
+        const crawlDelay = entry && entry.crawlDelay !== null ? entry.crawlDelay * 1000 : 0;
+        return Math.max(this.options.delay, crawlDelay);
+    }
+
+    // Queue the pages listed in the site's sitemaps so pages nothing links to are archived too.
+    // Sitemap indexes are followed; gzipped sitemaps are decompressed.
+    async seedFromSitemaps(origin) {
+        const robotsEntry = await this.loadRobots(origin);
+        const queue = robotsEntry.sitemaps.length > 0 ? [...robotsEntry.sitemaps] : [new URL('/sitemap.xml', origin).href];
+        const seen = new Set();
+        let seeded = 0;
+
+        while (queue.length > 0 && seen.size < 1000) {
+            const sitemapUrl = queue.shift();
+            if (seen.has(sitemapUrl)) {
+                continue;
+            }
+            seen.add(sitemapUrl);
+
+            try {
+                const response = await this.requestBuffer(sitemapUrl, await this.buildRequestHeaders(sitemapUrl, null, 'application/xml,text/xml,*/*;q=0.8'));
+                if (response.statusCode !== 200) {
+                    console.log(`Could not fetch sitemap ${sitemapUrl}: HTTP ${response.statusCode}`);
+                    continue;
+                }
+
+                const { urls, sitemaps } = parseSitemapXml(response.body);
+                queue.push(...sitemaps);
+                // Sitemap pages count as linked from the start page
+                const added = this.queueLinks(urls, 1);
+                seeded += added;
+                console.log(`Sitemap ${sitemapUrl}: ${urls.length} URLs, ${sitemaps.length} nested sitemaps, ${added} queued`);
+            } catch (error) {
+                console.log(`Could not read sitemap ${sitemapUrl}: ${error.message}`);
+            }
+        }
+
+        console.log(`Seeded ${seeded} URLs from sitemaps`);
+        return seeded;
+    }
+
+    // Load the cookie jar and run the login step. The tabs share one browser context, so every tab
+    // and the Node-side downloads (through page.cookies) use the resulting session.
+    async setupSession() {
+        if (this.options.cookies) {
+            const cookies = await loadCookieJar(this.options.cookies, this.baseDomain);
+            await this.browser.setCookie(...cookies);
+            console.log(`Loaded ${cookies.length} cookies from ${this.options.cookies}`);
+        }
+        if (this.options.login) {
+            await this.runLogin(this.page);
+        }
+    }
+
+    async runLogin(page) {
+        const login = this.options.login;
+        console.log('Logging in...');
+        if (typeof login === 'function') {
+            await login(page, this);
+        } else if (typeof login === 'string') {
+            const script = require(path.resolve(login));
+            const run = typeof script === 'function' ? script : script.login;
+            if (typeof run !== 'function') {
+                throw new Error(`Login script ${login} must export a function(page, scraper)`);
+            }
+            await run(page, this);
+        } else {
+            await this.fillLoginForm(page, login);
+        }
+        const cookies = await page.cookies(this.baseUrl);
+        console.log(`Login step finished (${cookies.length} cookies for ${this.baseDomain})`);
+    }
+
+    // Why the session looks lost after loading `url`, or null: a redirect to a login page, a 401,
+    // or a missing logged-in marker
+    async detectSessionLoss(page, url, response) {
+        const finalUrl = page.url();
+        if (response && response.status() === 401) {
+            return `${url} answered 401 Unauthorized`;
+        }
+        try {
+            const finalUrlObj = new URL(finalUrl);
+            if (this.canonicalizeUrl(finalUrl) !== this.canonicalizeUrl(url) && matchesAny(this.loginPatterns, finalUrlObj)) {
+                return `${url} redirected to the login page ${finalUrl}`;
+            }
+        } catch (error) {
+            // about:blank or similar: not a login redirect
+        }
+        if (this.options.loggedInSelector && !await page.$(this.options.loggedInSelector)) {
+            return `${this.options.loggedInSelector} not found on ${finalUrl}`;
+        }
+        return null;
+    }
+
+    // Log in again after a session loss. Tabs that notice the loss at the same time share one login.
+    async recoverSession(page, reason) {
+        if (!this.options.login) {
+            throw new SessionLostError(`Session lost: ${reason}. No login step is configured; refresh the cookie jar and continue with --resume.`);
+        }
+        if (!this.relogin) {
+            if (this.relogins >= this.options.maxRelogins) {
+                throw new SessionLostError(`Session lost again: ${reason}. Gave up after ${this.relogins} re-logins; continue with --resume once logging in works.`);
+            }
+            this.relogins++;
+            console.log(`Session lost (${reason}), logging in again (attempt ${this.relogins} of ${this.options.maxRelogins})`);
+            this.relogin = this.runLogin(page).finally(() => {
+                this.relogin = null;
+            });
+        }
+        try {
+            await this.relogin;
+        } catch (error) {
+            throw new SessionLostError(`Session lost: ${reason}. Logging in again failed: ${error.message}`);
+        }
+    }
+
+    // Form login: { url, fields: { selector: value }, submit: selector, successSelector: selector }.
+    // Field values may use ${ENV_VAR}.
+    async fillLoginForm(page, form) {
+        const loginUrl = new URL(form.url || this.baseUrl, this.baseUrl).href;
+        await page.goto(loginUrl, { waitUntil: 'networkidle2', timeout: this.options.navigationTimeout });
+
+        for (const [selector, value] of Object.entries(form.fields || {})) {
+            await page.waitForSelector(selector);
+            await page.$eval(selector, element => { element.value = ''; });
+            await page.type(selector, expandEnv(value));
+        }
+
+        // Single-page apps log in without a navigation, so a missing one is not an error
+        const navigation = page.waitForNavigation({ waitUntil: 'networkidle2' }).catch(() => null);
+        if (form.submit) {
+            await page.click(form.submit);
+        } else {
+            await page.keyboard.press('Enter');
+        }
+        await navigation;
+
+        if (form.successSelector && !await page.$(form.successSelector)) {
+            throw new Error(`Login failed: ${form.successSelector} not found after submitting the form at ${loginUrl} (now on ${page.url()})`);
+        }
+    }
+
+    async createPage() {
+        const page = await this.browser.newPage();
+        
+        // Set a reasonable viewport and user agent
+        await page.setViewport(this.options.viewport);
+        await page.setUserAgent(this.options.userAgent);
+        
+        // Set longer timeouts
+        page.setDefaultTimeout(this.options.navigationTimeout);
+        page.setDefaultNavigationTimeout(this.options.navigationTimeout);
+        
+        // Answers basic auth challenges; unlike an Authorization header it is not sent to other hosts
+        if (this.httpAuth) {
+            await page.authenticate(this.httpAuth);
+        }
+        // Extra headers are added per request, so API keys and tokens never reach CDNs or trackers
+        if (Object.keys(this.extraHeaders).length > 0) {
+            await page.setRequestInterception(true);
+            page.on('request', (request) => {
+                if (request.isInterceptResolutionHandled()) {
+                    return;
+                }
+                let internal = false;
+                try {
+                    internal = this.isInternalHost(new URL(request.url()).hostname);
+                } catch (error) {
+                    // Not a URL with a host
+                }
+                request.continue(internal ? { headers: { ...request.headers(), ...this.extraHeaders } } : {}).catch(error => {
+                    console.log(`Could not continue request ${request.url()}: ${error.message}`);
+                });
+            });
+        }
+        
+        if (this.options.capture) {
+            this.attachCapture(page);
+        }
+        if (this.options.warc) {
+            this.attachWarcRecorder(page);
+        }
+        
+        return page;
+    }
+
+    // WARC output: every request/response pair the tabs see is appended to archive/data.warc.gz
+    attachWarcRecorder(page) {
+        page.on('response', (response) => {
+            const url = response.url();
+            if (!this.warcWriter || !/^https?:/.test(url) || this.warcRecordedUrls.has(url)) {
+                return;
+            }
+            this.warcRecordedUrls.add(url);
+
+            const record = this.recordWarcExchange(response).catch(error => {
+                this.warcRecordedUrls.delete(url);
+                console.log(`Could not write WARC record for ${url}: ${error.message}`);
+            });
+            this.warcPending.add(record);
+            record.finally(() => this.warcPending.delete(record));
+        });
+    }
+
+    async recordWarcExchange(response) {
+        const request = response.request();
+        const status = response.status();
+
+        // Redirects and empty responses have no body to read
+        let body = Buffer.alloc(0);
+        if (!(status >= 300 && status < 400) && status !== 204 && status !== 304) {
+            body = await response.buffer();
+        }
+
+        const cdxLine = await this.warcWriter.writeExchange({
+            url: response.url(),
+            method: request.method(),
+            requestHeaders: request.headers(),
+            postData: request.postData(),
+            status: status,
+            statusText: response.statusText(),
+            responseHeaders: response.headers(),
+            body: body
+        });
+        await fs.appendFile(this.warcIndexFile, cdxLine + '\n', 'utf8');
+    }
+
+    async openWarc(append) {
+        const archiveDir = path.join(this.outputDir, WARC_DIR);
+        this.warcIndexFile = path.join(archiveDir, 'index.cdxj.partial');
+        this.warcWriter = new WarcWriter(path.join(archiveDir, WARC_FILE_NAME));
+        append = append && await fs.pathExists(this.warcWriter.filePath);
+        await this.warcWriter.open({ append });
+        if (!append) {
+            await fs.writeFile(this.warcIndexFile, '', 'utf8');
+            await this.warcWriter.writeWarcinfo({
+                'software': 'website-scraper',
+                'format': 'WARC File Format 1.1',
+                'isPartOf': this.baseUrl,
+                'http-header-user-agent': this.options.userAgent
+            });
+        }
+        console.log(`Writing WARC records to ${this.warcWriter.filePath}`);
+    }
+
+    // Flush the WARC file, then write the sorted CDXJ index and the page list next to it
+    async closeWarc() {
+        if (!this.warcWriter) {
+            return;
+        }
+        while (this.warcPending.size > 0) {
+            await Promise.all(Array.from(this.warcPending));
+        }
+        await this.warcWriter.close();
+
+        const archiveDir = path.join(this.outputDir, WARC_DIR);
+        const lines = (await fs.readFile(this.warcIndexFile, 'utf8')).split('\n').filter(Boolean).sort();
+        await fs.writeFile(path.join(archiveDir, 'index.cdxj'), lines.join('\n') + '\n', 'utf8');
+
+        const pages = [JSON.stringify({ format: 'json-pages-1.0', id: 'pages', title: 'All Pages' })];
+        for (const [url, data] of this.sitemap) {
+            pages.push(JSON.stringify({ url: url, ts: data.timestamp, title: data.title }));
+        }
+        await fs.writeFile(path.join(archiveDir, 'pages.jsonl'), pages.join('\n') + '\n', 'utf8');
+
+        console.log(`WARC saved: ${this.warcWriter.filePath} (${lines.length} responses indexed)`);
+        this.warcWriter = null;
+    }
+
+    // Package the WARC, its CDXJ index and the page list as a WACZ file
+    async createWacz() {
+        const archiveDir = path.join(this.outputDir, WARC_DIR);
+        const waczPath = path.join(this.outputDir, `${this.baseDomain}.wacz`);
+        const files = [
+            { source: path.join(archiveDir, WARC_FILE_NAME), name: `archive/${WARC_FILE_NAME}` },
+            { source: path.join(archiveDir, 'index.cdxj'), name: 'indexes/index.cdxj' },
+            { source: path.join(archiveDir, 'pages.jsonl'), name: 'pages/pages.jsonl' }
+        ];
+
+        const resources = [];
+        for (const file of files) {
+            const hash = crypto.createHash('sha256');
+            for await (const chunk of fs.createReadStream(file.source)) {
+                hash.update(chunk);
+            }
+            resources.push({
+                name: path.basename(file.name),
+                path: file.name,
+                hash: 'sha256:' + hash.digest('hex'),
+                bytes: (await fs.stat(file.source)).size
+            });
+        }
+
+        const datapackage = Buffer.from(JSON.stringify({
+            profile: 'data-package',
+            wacz_version: '1.1.1',
+            title: `${this.baseDomain} archive`,
+            created: new Date().toISOString(),
+            software: 'website-scraper',
+            mainPageUrl: this.baseUrl,
+            mainPageDate: this.sitemap.has(this.baseUrl) ? this.sitemap.get(this.baseUrl).timestamp : undefined,
+            resources: resources
+        }, null, 2), 'utf8');
+        const datapackageDigest = Buffer.from(JSON.stringify({
+            path: 'datapackage.json',
+            hash: 'sha256:' + crypto.createHash('sha256').update(datapackage).digest('hex')
+        }, null, 2), 'utf8');
+
+        // The WARC is stored uncompressed inside the zip so replay tools can seek into it
+        const zip = new ZipWriter(fs.createWriteStream(waczPath));
+        for (const file of files) {
+            await zip.addFile(file.name, file.source, { store: file.name.endsWith('.warc.gz') });
+        }
+        await zip.addBuffer('datapackage.json', datapackage);
+        await zip.addBuffer('datapackage-digest.json', datapackageDigest);
+        await zip.finish();
+
+        console.log(`WACZ saved: ${waczPath}`);
+        return waczPath;
+    }
+
+    // Capture mode: save response bodies straight from the tab's network traffic instead of
+    // downloading them again from Node. Also sees XHR/fetch, lazy-loaded and script-injected resources.
+    attachCapture(page) {
+        page.on('response', (response) => {
+            const capture = this.pageCaptures.get(page);
+            if (!capture) {
+                return;
+            }
+            const write = this.saveCapturedResponse(capture, response).catch(error => {
+                console.log(`Could not capture ${response.url()}: ${error.message}`);
+            });
+            capture.pending.add(write);
+            write.finally(() => capture.pending.delete(write));
+        });
+    }
+
+    startCapture(page, pageUrl) {
+        this.pageCaptures.set(page, {
+            pageUrl: pageUrl,
+            resources: new Map(), // URL -> { url, type }
+            apiResponses: [], // XHR/fetch responses recorded for replay
+            pending: new Set()
+        });
+    }
+
+    // Wait for in-flight writes and return the resources and API responses seen on the network for this page
+    async finishCapture(page) {
+        const capture = this.pageCaptures.get(page);
+        if (!capture) {
+            return { resources: [], apiResponses: [] };
+        }
+        while (capture.pending.size > 0) {
+            await Promise.all(Array.from(capture.pending));
+        }
+        this.pageCaptures.delete(page);
+        return {
+            resources: Array.from(capture.resources.values()),
+            apiResponses: capture.apiResponses
+        };
+    }
+
+    // Keep the body of an XHR/fetch response so the saved page can replay it offline
+    async recordApiResponse(capture, response) {
+        const request = response.request();
+        const contentType = response.headers()['content-type'] || 'application/octet-stream';
+        if (!/json|text|xml|javascript/i.test(contentType)) {
+            return;
+        }
+
+        const body = await response.buffer();
+        if (body.length > this.options.replayMaxBytes) {
+            console.log(`Not recording large API response for replay: ${response.url()} (${body.length} bytes)`);
+            return;
+        }
+
+        const entry = {
+            method: request.method().toUpperCase(),
+            url: response.url(),
+            status: response.status(),
+            contentType: contentType,
+            body: body.toString('utf8')
+        };
+        capture.apiResponses.push(entry);
+
+        const key = `${entry.method} ${entry.url}`;
+        const indexEntry = this.apiResponses.get(key) || {
+            method: entry.method,
+            url: entry.url,
+            status: entry.status,
+            contentType: contentType,
+            file: null, // Set by linkApiResponseFile once the body is saved
+            pages: []
+        };
+        if (!indexEntry.pages.includes(capture.pageUrl)) {
+            indexEntry.pages.push(capture.pageUrl);
+        }
+        this.apiResponses.set(key, indexEntry);
+    }
+
+    // Point a recorded GET response at its saved copy. Responses from hosts that are not downloaded
+    // have no file and are only replayed from the data embedded in the page.
+    linkApiResponseFile(url, localPath) {
+        const indexEntry = this.apiResponses.get(`GET ${url}`);
+        if (indexEntry && localPath) {
+            indexEntry.file = localPath;
+        }
+    }
+
+    // api-replay.json lists every recorded API response and the pages that requested it
+    async saveApiReplayIndex() {
+        const indexPath = path.join(this.outputDir, 'api-replay.json');
+        const entries = Array.from(this.apiResponses.values()).sort((a, b) => a.url.localeCompare(b.url));
+        await fs.writeFile(indexPath, JSON.stringify({ baseUrl: this.baseUrl, responses: entries }, null, 2), 'utf8');
+        console.log(`API replay index saved: ${indexPath} (${entries.length} responses)`);
+    }
+
+    async saveCapturedResponse(capture, response) {
+        const request = response.request();
+        const url = response.url();
+        const status = response.status();
+
+        // The page itself is saved by scrapePage; redirects and partial media responses have no usable body
+        if (request.resourceType() === 'document' || status !== 200 || !/^https?:/.test(url)) {
+            return;
+        }
+
+        const type = CAPTURE_RESOURCE_TYPES[request.resourceType()] || 'other';
+
+        // API calls are replayed from the page itself, whichever host answered them
+        if (type === 'data' && this.options.replayApi) {
+            await this.recordApiResponse(capture, response);
+        }
+
+        const urlObj = new URL(url);
+        if (!this.shouldDownloadResource(urlObj, new URL(capture.pageUrl))) {
+            return;
+        }
+
+        capture.resources.set(url, { url, type });
+
+        if (this.downloadedResources.has(url) || this.activeDownloads.has(url)) {
+            const localPath = this.activeDownloads.has(url) ? await this.activeDownloads.get(url).catch(() => null) : this.urlMap.fileFor(url);
+            this.linkApiResponseFile(url, localPath);
+            return;
+        }
+
+        const write = (async () => {
+            const body = await response.buffer();
+            const localPath = this.getResourcePath(url, type, response.headers()['content-type']);
+            const fullPath = path.join(this.outputDir, localPath);
+            const entry = this.recordResource(url, fullPath, response.headers(), crypto.createHash('sha256').update(body).digest('hex'));
+
+            if (entry.status !== 'unchanged' || !await fs.pathExists(fullPath)) {
+                await fs.ensureDir(path.dirname(fullPath));
+                await fs.writeFile(`${fullPath}.download`, body);
+                await fs.rename(`${fullPath}.download`, fullPath);
+                console.log(`Captured resource: ${path.basename(fullPath)} (${body.length} bytes, ${response.headers()['content-type'] || 'unknown type'})`);
+            }
+            this.downloadedResources.add(url);
+            this.emitResourceDownloaded(url, fullPath);
+            return localPath;
+        })();
+
+        // downloadResource waits for this write instead of fetching the same URL again
+        this.activeDownloads.set(url, write);
+        try {
+            this.linkApiResponseFile(url, await write);
+        } finally {
+            this.activeDownloads.delete(url);
+        }
+    }
+
+    pageLimitReached() {
+        return this.options.maxPages !== null &&
+            this.visitedUrls.size + this.inProgressUrls.size >= this.options.maxPages;
+    }
+
+    // Take the next pending URL whose host has a free slot and has waited out its delay.
+    // Returns null when nothing can start right now.
+    takeNextUrl() {
+        if (this.pageLimitReached() || this.stopError) {
+            return null;
+        }
+        const now = Date.now();
+        for (const url of this.pendingUrls) {
+            if (this.visitedUrls.has(url) || this.inProgressUrls.has(url)) {
+                this.pendingUrls.delete(url);
+                continue;
+            }
             
-            console.log(`Starting to scrape: ${this.baseUrl}`);
-            this.pendingUrls.add(this.baseUrl);
+            let host;
+            try {
+                host = new URL(url).host;
+            } catch (error) {
+                this.pendingUrls.delete(url);
+                continue;
+            }
             
-            while (this.pendingUrls.size > 0) {
-                const currentUrl = this.pendingUrls.values().next().value;
-                this.pendingUrls.delete(currentUrl);
-                
-                if (this.visitedUrls.has(currentUrl)) {
-                    continue;
+            if ((this.hostActivePages.get(host) || 0) >= this.options.perHostConcurrency) {
+                continue;
+            }
+            if ((this.hostAvailableAt.get(host) || 0) > now) {
+                continue;
+            }
+            
+            this.pendingUrls.delete(url);
+            return url;
+        }
+        return null;
+    }
+
+    // Wait until a page finishes (new links or a free host slot) or the next host delay runs out
+    waitForFrontier() {
+        const now = Date.now();
+        let wakeAt = Infinity;
+        for (const url of this.pendingUrls) {
+            try {
+                const host = new URL(url).host;
+                if ((this.hostActivePages.get(host) || 0) < this.options.perHostConcurrency) {
+                    wakeAt = Math.min(wakeAt, this.hostAvailableAt.get(host) || now);
                 }
-                
-                await this.scrapePage(currentUrl);
-                this.visitedUrls.add(currentUrl);
-                
-                console.log(`Scraped: ${currentUrl} (${this.visitedUrls.size} pages completed, ${this.pendingUrls.size} pending)`);
-                
+            } catch (error) {}
+        }
+        
+        return new Promise(resolve => {
+            let timer = null;
+            const wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            if (wakeAt !== Infinity) {
+                timer = setTimeout(wake, Math.max(0, wakeAt - now));
+            }
+            this.frontierWaiters.push(wake);
+        });
+    }
+
+    notifyFrontier() {
+        const waiters = this.frontierWaiters;
+        this.frontierWaiters = [];
+        waiters.forEach(wake => wake());
+    }
+
+    async runWorker(page) {
+        while (true) {
+            const currentUrl = this.takeNextUrl();
+            
+            if (!currentUrl) {
+                if (this.pageLimitReached() || this.stopError) {
+                    // Leftover pending URLs stay in the state file for a later --resume
+                    this.notifyFrontier();
+                    return;
+                }
+                if (this.pendingUrls.size === 0 && this.inProgressUrls.size === 0) {
+                    // Nothing left anywhere: wake the other idle workers so they can exit too
+                    this.notifyFrontier();
+                    return;
+                }
+                await this.waitForFrontier();
+                continue;
+            }
+            
+            const host = new URL(currentUrl).host;
+            this.hostActivePages.set(host, (this.hostActivePages.get(host) || 0) + 1);
+            this.hostAvailableAt.set(host, Date.now() + this.getHostDelay(host));
+            this.inProgressUrls.add(currentUrl);
+            
+            let stopped = false;
+            try {
+                await this.scrapePage(currentUrl, page);
+            } catch (error) {
+                if (!(error instanceof SessionLostError)) {
+                    throw error;
+                }
+                // Keep the page pending so a --resume run with a fresh session picks it up
+                stopped = true;
+                this.stopError = this.stopError || error;
+                this.pendingUrls.add(currentUrl);
+            } finally {
+                this.inProgressUrls.delete(currentUrl);
+                if (!stopped) {
+                    this.visitedUrls.add(currentUrl);
+                }
+                this.hostActivePages.set(host, this.hostActivePages.get(host) - 1);
                 // Add a small delay to be respectful to the server
-                await new Promise(resolve => setTimeout(resolve, 1000));
+                this.hostAvailableAt.set(host, Date.now() + this.getHostDelay(host));
+                this.notifyFrontier();
+            }
+            
+            await this.checkpoint();
+            
+            console.log(`Scraped: ${currentUrl} (${this.visitedUrls.size} pages completed, ${this.pendingUrls.size} pending)`);
+        }
+    }
+
+    async scrape() {
+        try {
+            await this.initialize();
+            
+            await this.loadManifest();
+            const resumed = this.options.resume && await this.loadState();
+            if (this.options.warc) {
+                await this.openWarc(resumed);
+            }
+            const origin = new URL(this.baseUrl).origin;
+            if (this.options.respectRobots) {
+                await this.loadRobots(origin);
+                for (const host of this.internalHosts.slice(1)) {
+                    await this.loadRobots(`${new URL(this.baseUrl).protocol}//${host}`);
+                }
+            }
+            if (!resumed) {
+                console.log(`Starting to scrape: ${this.baseUrl}`);
+                if (this.isAllowedByRobots(new URL(this.baseUrl))) {
+                    this.pendingUrls.add(this.baseUrl);
+                    this.urlDepths.set(this.baseUrl, 0);
+                } else {
+                    console.log(`Start URL is disallowed by robots.txt: ${this.baseUrl}`);
+                }
+                if (this.options.seedSitemaps) {
+                    await this.seedFromSitemaps(origin);
+                }
+            }
+            
+            console.log(`Crawling with ${this.pages.length} tab(s), at most ${this.options.perHostConcurrency} per host`);
+            await Promise.all(this.pages.map(page => this.runWorker(page)));
+            if (this.stopError) {
+                throw this.stopError;
             }
             
             console.log(`\\nScraping completed! ${this.visitedUrls.size} pages scraped.`);
             console.log(`Files saved to: ${path.resolve(this.outputDir)}`);
             
+            if (this.options.htmlOutput) {
+                await this.restoreUnsavedLinks();
+            }
+            
             // Generate sitemap
-            await this.generateSitemap();
+            const sitemapData = await this.generateSitemap();
+            await this.saveManifest();
+            if (this.options.singleFile && this.options.htmlOutput) {
+                await this.exportSingleFiles();
+            }
+            if (this.options.warc) {
+                await this.closeWarc();
+                if (this.options.wacz) {
+                    await this.createWacz();
+                }
+            }
+            if (this.options.replayApi) {
+                await this.saveApiReplayIndex();
+            }
+            if (this.options.update) {
+                await this.writeUpdateReport();
+            }
+            if (this.options.archive) {
+                await this.createArchive(sitemapData);
+            }
+            await this.saveState('completed');
+            return this.finish('completed');
             
         } catch (error) {
             console.error('Error during scraping:', error);
+            await this.saveState('failed');
+            return this.finish('failed', error);
         } finally {
             if (this.browser) {
                 await this.browser.close();
@@ -339,24 +1705,88 @@ class WebsiteScraper {
         }
     }
 
-    async scrapePage(url) {
+    // Summary returned by scrape() and sent with the `done` event
+    finish(status, error = null) {
+        const summary = {
+            status: status,
+            error: error,
+            outputDir: path.resolve(this.outputDir),
+            pages: this.sitemap.size,
+            resources: this.downloadedResources.size,
+            failedResources: this.failedResources.size,
+            pending: this.pendingUrls.size
+        };
+        this.emit('done', summary);
+        return summary;
+    }
+
+    async scrapePage(url, page = this.page) {
+        this.emit('page:start', { url, depth: this.getDepth(url) });
         try {
+            if (this.options.update) {
+                const previousPage = await this.checkPageUnchanged(url, page);
+                if (previousPage) {
+                    await this.reuseUnchangedPage(url, previousPage, page);
+                    this.emit('page:saved', { url, file: this.urlToFilePath(url), title: previousPage.title, unchanged: true });
+                    return;
+                }
+            }
+            
+            // The hook may log in, set cookies or headers, or return false to skip the page
+            if (this.options.hooks.beforeNavigate && await this.options.hooks.beforeNavigate(page, url) === false) {
+                console.log(`Skipped by beforeNavigate hook: ${url}`);
+                return;
+            }
+            
             console.log(`Loading page: ${url}`);
             
+            if (this.options.capture) {
+                this.startCapture(page, url);
+            }
+            
+            // A saved state is rendered from its page
+            const state = parseStateUrl(url);
+            const pageUrl = state ? state.pageUrl : url;
+            
             // Navigate to the page with better error handling
-            await this.page.goto(url, { 
+            let response = await page.goto(pageUrl, { 
                 waitUntil: 'domcontentloaded',
-                timeout: 60000 
+                timeout: this.options.navigationTimeout
             });
+            
+            // Redirected to the login page: log in again and reload, or stop the crawl
+            if (this.sessionAuthenticated) {
+                const lostReason = await this.detectSessionLoss(page, pageUrl, response);
+                if (lostReason) {
+                    await this.recoverSession(page, lostReason);
+                    response = await page.goto(pageUrl, { waitUntil: 'domcontentloaded', timeout: this.options.navigationTimeout });
+                    const stillLost = await this.detectSessionLoss(page, pageUrl, response);
+                    if (stillLost) {
+                        throw new SessionLostError(`Still logged out after logging in again (${stillLost}). Check the login step, then continue with --resume.`);
+                    }
+                }
+            }
+
+            // Wait until the page is rendered, as configured for this URL
+            const readiness = await waitForReady(page, this.getReadiness(pageUrl));
+            console.log(`Page ready after ${readiness.ms} ms (${readiness.condition})`);
 
-            // Wait a bit for dynamic content to load
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            // Expand the content that needs clicks or scrolling before anything is read from the DOM
+            await this.interactWithPage(page, pageUrl);
+
+            // Click through to the saved state, and link the tabs / next button to the other states
+            const stateLinks = await this.prepareStates(page, url);
+            if (!stateLinks) {
+                console.log(`State not reachable any more, skipped: ${url}`);
+                return;
+            }
 
             // Extract all links from the page before modifying content
-            const pageData = await this.page.evaluate(() => {
-                const anchors = Array.from(document.querySelectorAll('a[href]'));
+            const pageData = await page.evaluate(() => {
+                // Pages shown in frames are crawled like linked pages
+                const anchors = Array.from(document.querySelectorAll('a[href], area[href], iframe[src], iframe[data-src], frame[src]'));
                 const links = anchors.map(anchor => {
-                    const href = anchor.getAttribute('href');
+                    const href = anchor.getAttribute('href') || anchor.getAttribute('data-src') || anchor.getAttribute('src');
                     if (href) {
                         // Convert relative URLs to absolute URLs
                         try {
@@ -378,176 +1808,30 @@ class WebsiteScraper {
             console.log(`Page title: ${pageData.title}`);
 
             // Filter and add new URLs to pending list
-            let newLinksAdded = 0;
-            for (const link of pageData.links) {
-                if (this.shouldScrapeUrl(link)) {
-                    // Clean the URL before adding to pending list
-                    const linkObj = new URL(link);
-                    const cleanUrl = `${linkObj.protocol}//${linkObj.hostname}${linkObj.pathname}${linkObj.search}`;
-                    this.pendingUrls.add(cleanUrl);
-                    newLinksAdded++;
-                }
-            }
+            const newLinksAdded = this.queueLinks(pageData.links, this.getDepth(url) + 1);
             
             console.log(`Added ${newLinksAdded} new URLs to scrape queue`);
-
-            // Extract all resource URLs (CSS, images, scripts, etc.)
-            const resources = await this.page.evaluate(() => {
-                const resourceUrls = [];
-                
-                // CSS files
-                document.querySelectorAll('link[rel="stylesheet"][href]').forEach(link => {
-                    const href = link.getAttribute('href');
-                    if (href) {
-                        try {
-                            resourceUrls.push({
-                                url: new URL(href, window.location.href).href,
-                                type: 'css',
-                                element: 'link',
-                                attribute: 'href'
-                            });
-                        } catch (e) {}
-                    }
-                });
-                
-                // All other link tags (favicons, manifests, etc.)
-                document.querySelectorAll('link[href]:not([rel="stylesheet"])').forEach(link => {
-                    const href = link.getAttribute('href');
-                    if (href) {
-                        try {
-                            resourceUrls.push({
-                                url: new URL(href, window.location.href).href,
-                                type: 'other',
-                                element: 'link',
-                                attribute: 'href'
-                            });
-                        } catch (e) {}
-                    }
-                });
-                
-                // Images with src
-                document.querySelectorAll('img[src]').forEach(img => {
-                    const src = img.getAttribute('src');
-                    if (src) {
-                        try {
-                            resourceUrls.push({
-                                url: new URL(src, window.location.href).href,
-                                type: 'image',
-                                element: 'img',
-                                attribute: 'src'
-                            });
-                        } catch (e) {}
-                    }
-                });
-                
-                // Images with srcset
-                document.querySelectorAll('img[srcset]').forEach(img => {
-                    const srcset = img.getAttribute('srcset');
-                    if (srcset) {
-                        // Parse srcset - it can contain multiple URLs
-                        const urls = srcset.split(',').map(s => s.trim().split(' ')[0]);
-                        urls.forEach(url => {
-                            if (url) {
-                                try {
-                                    resourceUrls.push({
-                                        url: new URL(url, window.location.href).href,
-                                        type: 'image',
-                                        element: 'img',
-                                        attribute: 'srcset'
-                                    });
-                                } catch (e) {}
-                            }
-                        });
-                    }
-                });
-                
-                // Background images in CSS
-                document.querySelectorAll('[style*="background"]').forEach(element => {
-                    const style = element.getAttribute('style');
-                    if (style) {
-                        const matches = style.match(/url\(['"]?([^'")]+)['"]?\)/g);
-                        if (matches) {
-                            matches.forEach(match => {
-                                const url = match.replace(/url\(['"]?([^'")]+)['"]?\)/, '$1');
-                                try {
-                                    resourceUrls.push({
-                                        url: new URL(url, window.location.href).href,
-                                        type: 'image',
-                                        element: 'style',
-                                        attribute: 'style'
-                                    });
-                                } catch (e) {}
-                            });
-                        }
-                    }
-                });
-                
-                // JavaScript files
-                document.querySelectorAll('script[src]').forEach(script => {
-                    const src = script.getAttribute('src');
-                    if (src) {
-                        try {
-                            resourceUrls.push({
-                                url: new URL(src, window.location.href).href,
-                                type: 'js',
-                                element: 'script',
-                                attribute: 'src'
-                            });
-                        } catch (e) {}
-                    }
-                });
-                
-                // Video and audio sources
-                document.querySelectorAll('video[src], audio[src]').forEach(media => {
-                    const src = media.getAttribute('src');
-                    if (src) {
-                        try {
-                            resourceUrls.push({
-                                url: new URL(src, window.location.href).href,
-                                type: 'media',
-                                element: media.tagName.toLowerCase(),
-                                attribute: 'src'
-                            });
-                        } catch (e) {}
-                    }
-                });
-                
-                // Source elements within video/audio
-                document.querySelectorAll('source[src]').forEach(source => {
-                    const src = source.getAttribute('src');
-                    if (src) {
-                        try {
-                            resourceUrls.push({
-                                url: new URL(src, window.location.href).href,
-                                type: 'media',
-                                element: 'source',
-                                attribute: 'src'
-                            });
-                        } catch (e) {}
-                    }
-                });
-                
-                // PDF and document links
-                document.querySelectorAll('a[href]').forEach(link => {
-                    const href = link.getAttribute('href');
-                    if (href) {
-                        try {
-                            const url = new URL(href, window.location.href).href;
-                            const ext = url.split('.').pop().toLowerCase().split('?')[0];
-                            if (['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'zip', 'rar', 'mp4', 'mp3', 'wav', 'avi', 'mov', 'wmv', 'flv', 'webm', 'ogg'].includes(ext)) {
-                                resourceUrls.push({
-                                    url: url,
-                                    type: 'document',
-                                    element: 'a',
-                                    attribute: 'href'
-                                });
-                            }
-                        } catch (e) {}
-                    }
+            
+            // Archive-only crawl: the WARC recorder already has every response of this page
+            if (!this.options.htmlOutput) {
+                if (this.options.capture) {
+                    await this.finishCapture(page);
+                }
+                this.sitemap.set(url, {
+                    title: pageData.title,
+                    links: pageData.links,
+                    resources: [],
+                    timestamp: new Date().toISOString(),
+                    readiness: readiness
                 });
-                
-                return resourceUrls;
-            });
+                this.emit('page:saved', { url, file: null, title: pageData.title, unchanged: false });
+                return;
+            }
+
+            // Extract all resource URLs (CSS, images, scripts, lazy-loaded images, etc.) from the
+            // serialized DOM; the rewriter below works on the same snapshot
+            const html = await page.content();
+            const resources = findResources(html, page.url());
 
             console.log(`Found ${resources.length} resources to download`);
 
@@ -558,406 +1842,111 @@ class WebsiteScraper {
             // First, filter unique resources to avoid duplicate downloads
             const uniqueResources = new Map();
             for (const resource of resources) {
-                if (!uniqueResources.has(resource.url)) {
-                    uniqueResources.set(resource.url, resource);
-                }
-            }
-            
-            console.log(`Found ${uniqueResources.size} unique resources (filtered from ${resources.length} total)`);
-            
-            for (const [resourceUrl, resource] of uniqueResources) {
-                try {
-                    const resourceUrlObj = new URL(resource.url);
-                    const currentPageUrl = new URL(url);
-                    
-                    // Download if it's from the same domain
-                    if (resourceUrlObj.hostname === currentPageUrl.hostname) {
-                        const localPath = this.getResourcePath(resource.url);
-                        const fullPath = path.join(this.outputDir, localPath);
-                        
-                        console.log(`Downloading: ${resource.url} -> ${localPath}`);
-                        
-                        if (await this.downloadResource(resource.url, fullPath, this.page)) {
-                            resourceMap.set(resource.url, localPath);
-                            downloadedCount++;
-                            
-                            // If it's a CSS file, process it for additional resources
-                            if (resource.type === 'css' && localPath.endsWith('.css')) {
-                                console.log(`  Processing CSS file for additional resources: ${fullPath}`);
-                                try {
-                                    await this.processCssFile(fullPath, resource.url);
-                                } catch (cssError) {
-                                    console.error(`  Error processing CSS file ${fullPath}:`, cssError.message);
-                                }
-                            }
-                        }
-                    } else {
-                        console.log(`Skipping external resource: ${resource.url}`);
-                    }
-                } catch (error) {
-                    console.error(`Error processing resource ${resourceUrl}:`, error.message);
-                }
-            }
-            
-            console.log(`Downloaded ${downloadedCount} resources successfully`);
-
-            // Store sitemap data for this page
-            this.sitemap.set(url, {
-                title: pageData.title,
-                links: pageData.links,
-                resources: Array.from(resourceMap.keys()),
-                timestamp: new Date().toISOString()
-            });
-
-            // Process CSS files after all resources are downloaded
-            console.log('Processing CSS files for background images...');
-            for (const [resourceUrl, localPath] of resourceMap) {
-                if (localPath.endsWith('.css')) {
-                    const fullPath = path.join(this.outputDir, localPath);
-                    await this.processCssFile(fullPath, resourceUrl);
-                }
-            }
-
-            // Get the page content and modify links
-            const content = await this.page.evaluate((baseDomain, resourceMapping, currentPagePath, baseUrl) => {
-                // Helper function to convert URL to file path (injected)
-                function urlToFilePath(url) {
-                    try {
-                        const urlObj = new URL(url);
-                        const baseUrlObj = new URL(baseUrl);
-                        
-                        let pathname = urlObj.pathname;
-                        let basePathname = baseUrlObj.pathname;
-                        
-                        // Remove leading slash from both paths
-                        if (pathname.startsWith('/')) {
-                            pathname = pathname.substring(1);
-                        }
-                        if (basePathname.startsWith('/')) {
-                            basePathname = basePathname.substring(1);
-                        }
-                        
-                        // If the base URL has a path (like /en/), remove it from the pathname to avoid duplication
-                        if (basePathname && pathname.startsWith(basePathname)) {
-                            pathname = pathname.substring(basePathname.length);
-                            // Remove leading slash if it exists after removing base path
-                            if (pathname.startsWith('/')) {
-                                pathname = pathname.substring(1);
-                            }
-                        }
-                        
-                        // If pathname is empty or ends with '/', treat as index
-                        if (!pathname || pathname.endsWith('/')) {
-                            pathname += 'index';
-                        }
-                        
-                        // Replace invalid filename characters
-                        pathname = pathname.replace(/[<>:"|?*]/g, '_');
-                        
-                        // Add query parameters to filename if they exist
-                        if (urlObj.search) {
-                            const queryString = urlObj.search.substring(1).replace(/[<>:"|?*&=]/g, '_');
-                            pathname += '_' + queryString;
-                        }
-                        
-                        return pathname;
-                    } catch (error) {
-                        return 'unknown_page';
-                    }
-                }
-
-                // Replace all absolute URLs with relative paths for same-domain links
-                const anchors = document.querySelectorAll('a[href]');
-                anchors.forEach(anchor => {
-                    const href = anchor.getAttribute('href');
-                    if (href) {
-                        try {
-                            // Convert to absolute URL to properly check domain
-                            const absoluteUrl = new URL(href, window.location.href);
-                            
-                            // Only convert same-domain links to relative paths
-                            if (absoluteUrl.hostname === baseDomain) {
-                                let relativePath = urlToFilePath(absoluteUrl.href);
-                                
-                                // Only add .html if it doesn't already end with .html
-                                if (!relativePath.endsWith('.html')) {
-                                    relativePath += '.html';
-                                }
-                                
-                                anchor.setAttribute('href', relativePath);
-                                console.log(`Replaced link: ${href} -> ${relativePath}`);
-                            }
-                        } catch (error) {
-                            console.log('Error processing link:', href, error);
-                        }
-                    }
-                });
-
-                // Replace resource URLs with local paths - more comprehensive approach
-                console.log('Resource mapping entries:', Object.keys(resourceMapping).length);
-                
-                // Create a map of all possible URL variations to local paths
-                const urlVariations = new Map();
-                for (const [originalUrl, localPath] of Object.entries(resourceMapping)) {
-                    // Add the full URL
-                    urlVariations.set(originalUrl, localPath);
-                    
-                    // Add variations without protocol
-                    const withoutProtocol = originalUrl.replace(/^https?:/, '');
-                    urlVariations.set(withoutProtocol, localPath);
-                    
-                    // Add just the pathname part
-                    try {
-                        const urlObj = new URL(originalUrl);
-                        urlVariations.set(urlObj.pathname, localPath);
-                        
-                        // Add pathname with query if it exists
-                        if (urlObj.search) {
-                            urlVariations.set(urlObj.pathname + urlObj.search, localPath);
-                        }
-                    } catch (e) {}
-                }
-
-                // Function to replace URLs in attributes
-                function replaceUrlInAttribute(element, attribute) {
-                    const originalValue = element.getAttribute(attribute);
-                    if (!originalValue) return false;
-                    
-                    let replacedCount = 0;
-                    
-                    // Helper function to make path relative to current page
-                    function makeRelativePath(localPath) {
-                        // Calculate how many levels deep the current page is
-                        const pageDepth = currentPagePath.split('/').length - 1;
-                        
-                        // If we're in a subfolder, add '../' for each level
-                        if (pageDepth > 0) {
-                            const relativePath = '../'.repeat(pageDepth) + localPath;
-                            return relativePath;
-                        }
-                        
-                        return localPath;
-                    }
-                    
-                    // Handle srcset specially (contains multiple URLs)
-                    if (attribute === 'srcset') {
-                        const srcsetParts = originalValue.split(',').map(part => part.trim());
-                        let newSrcset = '';
-                        
-                        srcsetParts.forEach((part, index) => {
-                            const [url, ...descriptor] = part.split(' ');
-                            let newUrl = url;
-                            
-                            // Check all URL variations for replacement
-                            for (const [urlVariation, localPath] of urlVariations) {
-                                if (url === urlVariation || url.endsWith(urlVariation.replace(/^\//, ''))) {
-                                    newUrl = makeRelativePath(localPath);
-                                    replacedCount++;
-                                    break;
-                                }
-                            }
-                            
-                            newSrcset += (index > 0 ? ', ' : '') + newUrl + (descriptor.length > 0 ? ' ' + descriptor.join(' ') : '');
-                        });
-                        
-                        if (replacedCount > 0) {
-                            element.setAttribute(attribute, newSrcset);
-                            console.log(`Replaced ${attribute}: ${originalValue} -> ${newSrcset}`);
-                            return true;
-                        }
-                        return false;
-                    }
-                    
-                    // Handle style attribute (may contain multiple url() references)
-                    if (attribute === 'style') {
-                        let newStyle = originalValue;
-                        
-                        for (const [urlVariation, localPath] of urlVariations) {
-                            const urlPattern = new RegExp(`url\\(['"]?${urlVariation.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}['"]?\\)`, 'g');
-                            const newStyleTest = newStyle.replace(urlPattern, `url('${makeRelativePath(localPath)}')`);
-                            if (newStyleTest !== newStyle) {
-                                newStyle = newStyleTest;
-                                replacedCount++;
-                            }
-                        }
-                        
-                        if (replacedCount > 0) {
-                            element.setAttribute(attribute, newStyle);
-                            console.log(`Replaced ${attribute}: background URLs updated`);
-                            return true;
-                        }
-                        return false;
-                    }
-                    
-                    // Handle regular attributes (src, href, etc.)
-                    // Check exact matches first
-                    for (const [urlVariation, localPath] of urlVariations) {
-                        if (originalValue === urlVariation) {
-                            element.setAttribute(attribute, makeRelativePath(localPath));
-                            console.log(`Replaced ${attribute}: ${originalValue} -> ${makeRelativePath(localPath)}`);
-                            return true;
-                        }
-                    }
-                    
-                    // Check if the original value is a relative path that matches any downloaded resource
-                    for (const [urlVariation, localPath] of urlVariations) {
-                        try {
-                            const urlObj = new URL(urlVariation);
-                            const pathWithoutLeadingSlash = urlObj.pathname.replace(/^\//, '');
-                            
-                            // Check if the original value matches the pathname (with or without leading slash)
-                            if (originalValue === urlObj.pathname || 
-                                originalValue === pathWithoutLeadingSlash ||
-                                originalValue.endsWith('/' + pathWithoutLeadingSlash)) {
-                                element.setAttribute(attribute, makeRelativePath(localPath));
-                                console.log(`Replaced ${attribute} (path match): ${originalValue} -> ${makeRelativePath(localPath)}`);
-                                return true;
-                            }
-                        } catch (e) {}
-                    }
-                    
-                    return false;
-                }
-
-                // Replace URLs in different types of elements
-                let replacedCount = 0;
-                
-                // CSS files
-                document.querySelectorAll('link[href]').forEach(link => {
-                    if (replaceUrlInAttribute(link, 'href')) {
-                        replacedCount++;
-                    }
-                });
-                
-                // Images
-                document.querySelectorAll('img[src]').forEach(img => {
-                    if (replaceUrlInAttribute(img, 'src')) {
-                        replacedCount++;
-                    }
-                });
-                
-                // Images with srcset
-                document.querySelectorAll('img[srcset]').forEach(img => {
-                    if (replaceUrlInAttribute(img, 'srcset')) {
-                        replacedCount++;
-                    }
-                });
-                
-                // Scripts
-                document.querySelectorAll('script[src]').forEach(script => {
-                    if (replaceUrlInAttribute(script, 'src')) {
-                        replacedCount++;
-                    }
-                });
-                
-                // Video and audio
-                document.querySelectorAll('video[src], audio[src]').forEach(media => {
-                    if (replaceUrlInAttribute(media, 'src')) {
-                        replacedCount++;
-                    }
-                });
-                
-                // Source elements
-                document.querySelectorAll('source[src]').forEach(source => {
-                    if (replaceUrlInAttribute(source, 'src')) {
-                        replacedCount++;
-                    }
-                });
-                
-                // Background images in style attributes
-                document.querySelectorAll('[style*="background"], [style*="url("]').forEach(element => {
-                    if (replaceUrlInAttribute(element, 'style')) {
-                        replacedCount++;
-                    }
-                });
-                
-                console.log(`Total URLs replaced: ${replacedCount}`);
-                
-                // Remove or fix problematic base tags that break relative URLs in offline browsing
-                const baseTags = document.querySelectorAll('base[href]');
-                baseTags.forEach(baseTag => {
-                    const baseHref = baseTag.getAttribute('href');
-                    console.log(`Found base tag with href: ${baseHref}`);
-                    
-                    // If base href is an absolute path (starts with /) or full URL, 
-                    // it will break relative resource loading in offline browsing
-                    if (baseHref && (baseHref.startsWith('/') || baseHref.includes('://'))) {
-                        console.log(`Removing problematic base tag: ${baseHref}`);
-                        baseTag.remove();
+                if (!uniqueResources.has(resource.url)) {
+                    uniqueResources.set(resource.url, resource);
+                }
+            }
+            
+            // Add what the browser actually loaded: XHR/fetch responses, lazy images, injected scripts
+            let apiResponses = [];
+            if (this.options.capture) {
+                const { resources: captured, apiResponses: recordedApiResponses } = await this.finishCapture(page);
+                apiResponses = recordedApiResponses;
+                let networkOnly = 0;
+                for (const resource of captured) {
+                    if (!uniqueResources.has(resource.url)) {
+                        uniqueResources.set(resource.url, resource);
+                        networkOnly++;
                     }
-                });
-                
-                // Remove or disable JavaScript that might cause connectivity issues offline
-                // Be more selective - only remove scripts that cause connectivity errors
-                const scriptTags = document.querySelectorAll('script[src], script:not([src])');
-                let removedScripts = 0;
-                scriptTags.forEach(script => {
-                    const src = script.getAttribute('src');
-                    const content = script.textContent || '';
-                    
-                    // Only remove scripts that are clearly problematic for offline usage
-                    let shouldRemove = false;
+                }
+                console.log(`Captured ${captured.length} resources from network traffic (${networkOnly} not referenced in the DOM)`);
+            }
+            
+            console.log(`Found ${uniqueResources.size} unique resources (filtered from ${resources.length} total)`);
+            
+            // Downloads run in parallel; downloadResource keeps the number in flight bounded
+            await Promise.all(Array.from(uniqueResources, async ([resourceUrl, resource]) => {
+                try {
+                    const resourceUrlObj = new URL(resource.url);
+                    const currentPageUrl = new URL(url);
                     
-                    // Remove external scripts (they won't work offline anyway)
-                    if (src && !src.startsWith('/') && !src.startsWith('./') && !src.startsWith('../')) {
-                        // External script (different domain)
-                        try {
-                            const scriptUrl = new URL(src, window.location.href);
-                            if (scriptUrl.hostname !== window.location.hostname) {
-                                shouldRemove = true;
+                    // Download if it's from the same domain, or an allowed third-party host
+                    if (this.shouldDownloadResource(resourceUrlObj, currentPageUrl)) {
+                        console.log(`Downloading: ${resource.url}`);
+                        
+                        const localPath = await this.downloadResource(resource.url, page, resource.type);
+                        if (localPath) {
+                            const fullPath = path.join(this.outputDir, localPath);
+                            resourceMap.set(resource.url, localPath);
+                            downloadedCount++;
+                            
+                            // If it's a CSS file, process it for additional resources
+                            if (resource.type === 'css' && localPath.endsWith('.css')) {
+                                console.log(`  Processing CSS file for additional resources: ${fullPath}`);
+                                try {
+                                    await this.processCssFile(fullPath, resource.url, page, url);
+                                } catch (cssError) {
+                                    console.error(`  Error processing CSS file ${fullPath}:`, cssError.message);
+                                }
                             }
-                        } catch (e) {
-                            shouldRemove = true;
                         }
+                    } else {
+                        console.log(`Skipping external resource: ${resource.url}`);
                     }
-                    
-                    // Remove analytics and tracking scripts
-                    if (src && (
-                        src.includes('analytics') || 
-                        src.includes('gtag') || 
-                        src.includes('google-analytics') ||
-                        src.includes('matomo') ||
-                        src.includes('tracking')
-                    )) {
-                        shouldRemove = true;
-                    }
-                    
-                    // Remove inline scripts that contain specific problematic patterns
-                    if (!src && content && (
-                        content.includes('The backend is not responding') ||
-                        content.includes('server timeout') ||
-                        content.includes('connection problem') ||
-                        content.includes('check your connection') ||
-                        (content.includes('fetch(') && content.includes('timeout')) ||
-                        (content.includes('XMLHttpRequest') && content.includes('timeout')) ||
-                        (content.includes('axios') && content.includes('timeout')) ||
-                        content.includes('matomo.eea.europa.eu') ||
-                        (content.includes('api') && content.includes('timeout') && content.length < 5000) // Small API timeout scripts
-                    )) {
-                        shouldRemove = true;
-                    }
-                    
-                    if (shouldRemove) {
-                        console.log(`Removing problematic script: ${src || 'inline script with connectivity issues'}`);
-                        script.remove();
-                        removedScripts++;
-                    }
-                });
-                
-                console.log(`Removed ${removedScripts} problematic scripts (kept functional scripts)`);
-                
-                // Don't add CSP meta tag - let remaining functional JavaScript run
-                
-                return document.documentElement.outerHTML;
-            }, this.baseDomain, Object.fromEntries(resourceMap), this.urlToFilePath(url), this.baseUrl);
+                } catch (error) {
+                    console.error(`Error processing resource ${resourceUrl}:`, error.message);
+                }
+            }));
+            
+            console.log(`Downloaded ${downloadedCount} resources successfully`);
+
+            // Store sitemap data for this page
+            this.sitemap.set(url, {
+                title: pageData.title,
+                links: pageData.links,
+                resources: Array.from(resourceMap.keys()),
+                timestamp: new Date().toISOString(),
+                readiness: readiness
+            });
+
+            // Stylesheets that were not downloaded as type css (preloads, captured responses)
+            for (const [resourceUrl, localPath] of resourceMap) {
+                if (localPath.endsWith('.css')) {
+                    const fullPath = path.join(this.outputDir, localPath);
+                    await this.processCssFile(fullPath, resourceUrl, page, url);
+                }
+            }
+
+            // Point links and resource references at the saved files. This runs in Node on the
+            // serialized DOM (src/rewrite.js), with file names from the URL-to-file map.
+            const fileName = this.urlToFilePath(url);
+            const rewritten = await rewriteHtml(html, {
+                pageUrl: page.url(),
+                pageFile: fileName,
+                linkFile: (linkUrl) => this.isCrawledOrQueued(linkUrl) ? this.urlToFilePath(this.canonicalizeUrl(linkUrl)) : null,
+                resourceFile: (resourceUrl) => resourceMap.get(resourceUrl) || null,
+                keepApiScripts: this.options.replayApi
+            });
+            let content = rewritten.html;
+            console.log(`Rewrote ${rewritten.stats.links} links and ${rewritten.stats.resources} resource references, removed ${rewritten.stats.removedScripts} scripts that break offline`);
 
             // Save the modified content
-            const filePath = this.urlToFilePath(url);
-            let fileName = filePath;
+            if (stateLinks.length > 0) {
+                content = injectStateNav(content, stateLinks);
+            }
+            
+            // Serve the API responses recorded for this page to fetch/XHR when browsing offline
+            if (this.options.replayApi && apiResponses.length > 0) {
+                const shimSrc = path.posix.relative(path.posix.dirname(fileName), REPLAY_SHIM_FILE);
+                content = injectIntoHead(content, buildReplayScripts(apiResponses, url, shimSrc));
+                console.log(`Embedded ${apiResponses.length} API responses for offline replay`);
+            }
             
-            // Only add .html if it doesn't already end with .html
-            if (!fileName.endsWith('.html')) {
-                fileName += '.html';
+            if (this.options.hooks.transformHtml) {
+                const transformed = await this.options.hooks.transformHtml(content, url);
+                if (typeof transformed === 'string') {
+                    content = transformed;
+                }
             }
             
             const fullPath = path.join(this.outputDir, fileName);
@@ -966,9 +1955,18 @@ class WebsiteScraper {
             await fs.writeFile(fullPath, content, 'utf8');
             
             console.log(`Saved: ${fullPath}`);
+            
+            await this.recordPage(url, fileName, response);
+            const pageEntry = this.sitemap.get(url);
+            this.emit('page:saved', { url, file: fileName, title: pageEntry ? pageEntry.title : null, unchanged: false });
 
         } catch (error) {
+            this.pageCaptures.delete(page);
+            if (error instanceof SessionLostError) {
+                throw error;
+            }
             console.error(`Error scraping ${url}:`, error.message);
+            this.emit('page:failed', { url, error });
             
             // Even if there's an error, try to save what we can get
             try {
@@ -984,15 +1982,7 @@ class WebsiteScraper {
 </body>
 </html>`;
                 
-                const filePath = this.urlToFilePath(url);
-                let fileName = filePath;
-                
-                // Only add .html if it doesn't already end with .html
-                if (!fileName.endsWith('.html')) {
-                    fileName += '.html';
-                }
-                
-                const fullPath = path.join(this.outputDir, fileName);
+                const fullPath = path.join(this.outputDir, this.urlToFilePath(url));
                 await fs.ensureDir(path.dirname(fullPath));
                 await fs.writeFile(fullPath, basicContent, 'utf8');
                 console.log(`Saved error page: ${fullPath}`);
@@ -1002,25 +1992,211 @@ class WebsiteScraper {
         }
     }
 
+    getDepth(url) {
+        return this.urlDepths.has(url) ? this.urlDepths.get(url) : 0;
+    }
+
+    // Interaction script given as a function or a path to a module exporting one (or `.interact`)
+    loadInteractionScript(script) {
+        if (!script || typeof script === 'function') {
+            return script || null;
+        }
+        const loaded = require(path.resolve(script));
+        const run = typeof loaded === 'function' ? loaded : loaded.interact;
+        if (typeof run !== 'function') {
+            throw new Error(`Interaction script ${script} must export a function(page, url, scraper)`);
+        }
+        return run;
+    }
+
+    // Run the interaction rules matching the URL in order, then scroll through the page
+    async interactWithPage(page, url) {
+        const urlObj = new URL(url);
+        for (const rule of this.interactionRules) {
+            if (rule.pattern && !matchesAny([rule.pattern], urlObj)) {
+                continue;
+            }
+            if (rule.steps) {
+                await runSteps(page, rule.steps, url);
+            }
+            if (rule.script) {
+                try {
+                    await rule.script(page, url, this);
+                } catch (error) {
+                    console.error(`Interaction script failed on ${url}:`, error.message);
+                }
+            }
+        }
+        if (this.options.autoScroll) {
+            const scrolls = await autoScroll(page, this.options.autoScroll);
+            console.log(`Scrolled through ${url} (${scrolls} steps)`);
+        }
+    }
+
+    // Replay the clicks of the state in `url`, then mark the elements leading to the other states of
+    // each matching rule with their saved files and queue those states. Returns the links for the
+    // state bar ({ href, label, current }), or null when the state can no longer be reached.
+    async prepareStates(page, url) {
+        const state = parseStateUrl(url);
+        const pageUrl = state ? state.pageUrl : url;
+        const urlObj = new URL(pageUrl);
+        const rules = this.stateRules.filter(rule => (!rule.pattern || matchesAny([rule.pattern], urlObj)) &&
+            (!state || rule.name === state.name));
+        if (state && (rules.length === 0 || !await enterState(page, rules[0], state.index))) {
+            return null;
+        }
+
+        const fileName = (targetUrl) => path.posix.basename(this.urlToFilePath(targetUrl));
+        const links = [];
+        for (const rule of rules) {
+            const current = state ? state.index : 0;
+            const targets = await listStateTargets(page, rule, current);
+            const targetUrls = targets.map(target => stateUrl(pageUrl, rule.name, target.index));
+            await markStateTargets(page, rule, targetUrls.map(fileName));
+            this.queueStates(targetUrls, this.getDepth(url));
+
+            if (rule.each && targets.length > 0) {
+                links.push({ href: fileName(pageUrl), label: 'Page as loaded', current: current === 0 });
+                targets.forEach((target, i) => links.push({ href: fileName(targetUrls[i]), label: target.label, current: target.index === current }));
+            } else if (current > 0) {
+                links.push({ href: fileName(current === 1 ? pageUrl : stateUrl(pageUrl, rule.name, current - 1)), label: 'Previous' });
+            }
+            if (rule.next && targets.length > 0) {
+                links.push({ href: fileName(targetUrls[0]), label: 'Next' });
+            }
+        }
+        return links;
+    }
+
+    // States are pages of their own at the depth of the page they belong to
+    queueStates(urls, depth) {
+        let added = 0;
+        for (const url of urls) {
+            if (!this.visitedUrls.has(url) && !this.pendingUrls.has(url) && !this.inProgressUrls.has(url)) {
+                this.pendingUrls.add(url);
+                this.urlDepths.set(url, depth);
+                added++;
+            }
+        }
+        if (added > 0) {
+            console.log(`Added ${added} saved states to scrape queue`);
+            this.notifyFrontier();
+        }
+    }
+
+    // Readiness strategy of the first rule matching the URL, else the site-wide one
+    getReadiness(url) {
+        const urlObj = new URL(url);
+        const rule = this.readinessRules.find(rule => matchesAny([rule.pattern], urlObj));
+        return rule ? rule.strategy : this.readiness;
+    }
+
+    // Pages that are saved or will be: only links to these point at local files. Links to pages left out
+    // by scope, robots.txt or maxDepth keep their live URL.
+    isCrawledOrQueued(url) {
+        if (!this.internalHosts.includes(new URL(url).hostname)) {
+            return false;
+        }
+        const cleanUrl = this.canonicalizeUrl(url);
+        return this.visitedUrls.has(cleanUrl) || this.inProgressUrls.has(cleanUrl) || this.pendingUrls.has(cleanUrl);
+    }
+
+    // Links to queued pages that were never saved (the crawl hit maxPages) point at their live URL again
+    async restoreUnsavedLinks() {
+        let restored = 0;
+        for (const [url, data] of this.sitemap) {
+            const pageFile = this.urlToFilePath(url);
+            const hrefs = new Map();
+            for (const link of data.links) {
+                let cleanUrl;
+                try {
+                    cleanUrl = this.canonicalizeUrl(link);
+                } catch (error) {
+                    continue;
+                }
+                const file = this.urlMap.fileFor(cleanUrl);
+                if (file && !this.visitedUrls.has(cleanUrl) && !this.downloadedResources.has(cleanUrl)) {
+                    hrefs.set(relativeHref(pageFile, file), cleanUrl);
+                }
+            }
+            if (hrefs.size === 0) {
+                continue;
+            }
+            const fullPath = path.join(this.outputDir, pageFile);
+            try {
+                const result = restoreLinks(await fs.readFile(fullPath, 'utf8'), hrefs);
+                if (result.restored > 0) {
+                    await fs.writeFile(fullPath, result.html, 'utf8');
+                    restored += result.restored;
+                }
+            } catch (error) {
+                console.error(`Could not restore links in ${fullPath}:`, error.message);
+            }
+        }
+        if (restored > 0) {
+            console.log(`Pointed ${restored} links to pages that were not saved back at their live URLs`);
+        }
+    }
+
+    // Strip the hash and map the www./apex twin of the base host onto the base host
+    canonicalizeUrl(url) {
+        const urlObj = new URL(url);
+        if (urlObj.hostname !== this.baseDomain && this.siteHosts.includes(urlObj.hostname)) {
+            urlObj.hostname = this.baseDomain;
+        }
+        return `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}${urlObj.search}`;
+    }
+
+    // Add the scrapeable links found at `depth` to the pending list; returns how many were new
+    queueLinks(links, depth) {
+        if (this.options.maxDepth !== null && depth > this.options.maxDepth) {
+            return 0;
+        }
+        
+        let newLinksAdded = 0;
+        for (const link of links) {
+            if (this.shouldScrapeUrl(link)) {
+                // Clean the URL before adding to pending list
+                const cleanUrl = this.canonicalizeUrl(link);
+                this.pendingUrls.add(cleanUrl);
+                this.urlDepths.set(cleanUrl, depth);
+                newLinksAdded++;
+            } else {
+                // A shorter path to a page that is still pending lowers its depth
+                try {
+                    const cleanUrl = this.canonicalizeUrl(link);
+                    if (this.pendingUrls.has(cleanUrl) && depth < this.getDepth(cleanUrl)) {
+                        this.urlDepths.set(cleanUrl, depth);
+                    }
+                } catch (error) {}
+            }
+        }
+        if (newLinksAdded > 0) {
+            this.notifyFrontier();
+        }
+        return newLinksAdded;
+    }
+
     shouldScrapeUrl(url) {
         try {
             const urlObj = new URL(url);
             
-            // Only scrape URLs from the same domain
-            if (urlObj.hostname !== this.baseDomain) {
+            // Only scrape URLs from the same domain or one of the allowed hosts
+            if (!this.internalHosts.includes(urlObj.hostname)) {
                 return false;
             }
             
             // Clean up the URL by removing hash fragments and creating a clean URL
-            const cleanUrl = `${urlObj.protocol}//${urlObj.hostname}${urlObj.pathname}${urlObj.search}`;
+            const cleanUrl = this.canonicalizeUrl(url);
             
             // Skip already visited URLs (check both original and clean URL)
             if (this.visitedUrls.has(url) || this.visitedUrls.has(cleanUrl)) {
                 return false;
             }
             
-            // Skip URLs that are already pending (check both original and clean URL)
-            if (this.pendingUrls.has(url) || this.pendingUrls.has(cleanUrl)) {
+            // Skip URLs that are already pending or being loaded by another tab
+            if (this.pendingUrls.has(url) || this.pendingUrls.has(cleanUrl) ||
+                this.inProgressUrls.has(url) || this.inProgressUrls.has(cleanUrl)) {
                 return false;
             }
             
@@ -1036,6 +2212,16 @@ class WebsiteScraper {
                 return false;
             }
             
+            // Skip paths the site's robots.txt disallows for our user agent
+            if (!this.isAllowedByRobots(urlObj)) {
+                return false;
+            }
+            
+            // Apply the configured crawl scope
+            if (!this.isInScope(urlObj)) {
+                return false;
+            }
+            
             // Skip anchors that point to the same page (just different sections)
             if (urlObj.hash && urlObj.pathname === new URL(this.baseUrl).pathname && !urlObj.search) {
                 return false;
@@ -1052,49 +2238,229 @@ class WebsiteScraper {
         }
     }
 
-    urlToFilePath(url) {
-        try {
-            const urlObj = new URL(url);
-            const baseUrlObj = new URL(this.baseUrl);
-            
-            let pathname = urlObj.pathname;
-            let basePathname = baseUrlObj.pathname;
-            
-            // Remove leading slash from both paths
-            if (pathname.startsWith('/')) {
-                pathname = pathname.substring(1);
+    // Include/exclude rules and the start path restriction
+    isInScope(urlObj) {
+        if (matchesAny(this.denyPatterns, urlObj)) {
+            if (!this.deniedUrls.has(urlObj.href)) {
+                this.deniedUrls.add(urlObj.href);
+                console.log(`Not following logout/destructive URL: ${urlObj.href}`);
             }
-            if (basePathname.startsWith('/')) {
-                basePathname = basePathname.substring(1);
+            return false;
+        }
+        if (this.options.stayUnderStartPath && !urlObj.pathname.startsWith(this.startDirectory)) {
+            return false;
+        }
+        if (this.includePatterns.length > 0 && !matchesAny(this.includePatterns, urlObj)) {
+            return false;
+        }
+        if (matchesAny(this.excludePatterns, urlObj)) {
+            return false;
+        }
+        return true;
+    }
+
+    // Saved page file of a URL, e.g. "blog/post.html", from the shared URL-to-file map
+    urlToFilePath(url) {
+        if (this.urlMap.fileFor(url)) {
+            return this.urlMap.fileFor(url);
+        }
+        // Saved states of a page live next to it: "products/widget~tab-2.html"
+        const state = parseStateUrl(url);
+        if (state) {
+            return this.urlMap.claim(url, stateFilePath(this.urlToFilePath(state.pageUrl), state.name, state.index) + '.html');
+        }
+        return this.urlMap.pageFile(url);
+    }
+
+    // Rebuild the page list of a finished crawl from sitemap.json and the manifest, so the exports
+    // below can run on an existing copy. Returns the sitemap data.
+    async loadOutput() {
+        await this.loadManifest();
+        const sitemapData = JSON.parse(await fs.readFile(path.join(this.outputDir, 'sitemap.json'), 'utf8'));
+        for (const page of sitemapData.pages) {
+            this.sitemap.set(page.url, {
+                title: page.title,
+                links: page.links || [],
+                resources: page.resources || [],
+                timestamp: page.scrapedAt,
+                readiness: page.readiness
+            });
+        }
+        console.log(`Loaded ${this.sitemap.size} pages from ${path.join(this.outputDir, 'sitemap.json')}`);
+        return sitemapData;
+    }
+
+    // Write a self-contained copy of every saved page to single-file/, with CSS inlined and
+    // images, fonts and other assets as data: URIs
+    async exportSingleFiles() {
+        const exportDir = path.join(this.outputDir, SINGLE_FILE_DIR);
+        const outputRoot = path.resolve(this.outputDir);
+        let exported = 0;
+
+        for (const [url, data] of this.sitemap) {
+            // Absolute URLs the rewriter left alone are looked up in the page's resource map
+            const resourceFiles = new Map();
+            for (const resourceUrl of data.resources || []) {
+                const entry = this.manifest.resources[resourceUrl] || this.previousManifest.resources[resourceUrl];
+                resourceFiles.set(resourceUrl, path.join(outputRoot, entry && entry.file ? entry.file : this.getResourcePath(resourceUrl)));
             }
-            
-            // If the base URL has a path (like /en/), remove it from the pathname to avoid duplication
-            if (basePathname && pathname.startsWith(basePathname)) {
-                pathname = pathname.substring(basePathname.length);
-                // Remove leading slash if it exists after removing base path
-                if (pathname.startsWith('/')) {
-                    pathname = pathname.substring(1);
+
+            const inliner = new SingleFileInliner({
+                maxBytes: this.options.singleFileMaxBytes,
+                resolve: (reference, fromFile) => {
+                    if (/^(https?:)?\/\//i.test(reference)) {
+                        const absolute = new URL(reference, url).href;
+                        return resourceFiles.get(absolute) || null;
+                    }
+                    let relative;
+                    try {
+                        relative = decodeURIComponent(reference.split(/[?#]/)[0]);
+                    } catch (error) {
+                        return null;
+                    }
+                    const filePath = path.resolve(path.dirname(fromFile), relative);
+                    // Never read outside the output directory
+                    return filePath.startsWith(outputRoot + path.sep) ? filePath : null;
                 }
+            });
+
+            const fileName = this.urlToFilePath(url);
+            const pageFile = path.join(outputRoot, fileName);
+            try {
+                const html = await fs.readFile(pageFile, 'utf8');
+                const singleFile = await inliner.inlineHtml(html, pageFile);
+                const targetPath = path.join(exportDir, fileName);
+                await fs.ensureDir(path.dirname(targetPath));
+                await fs.writeFile(targetPath, singleFile, 'utf8');
+                exported++;
+                console.log(`Exported single-file page: ${targetPath} (${singleFile.length} bytes)`);
+            } catch (error) {
+                console.error(`Could not export ${url} as a single file:`, error.message);
             }
-            
-            // If pathname is empty or ends with '/', treat as index
-            if (!pathname || pathname.endsWith('/')) {
-                pathname += 'index';
+        }
+
+        console.log(`Exported ${exported} single-file pages to ${exportDir}`);
+        return exported;
+    }
+
+    // Files that go into the --archive output: pages, assets/ and the sitemaps, without crawl
+    // bookkeeping, temporary downloads or the WARC/WACZ output (those are separate archives already)
+    async listArchiveFiles(dir = this.outputDir, prefix = '') {
+        const files = [];
+        const entries = (await fs.readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const name = prefix + entry.name;
+            if (entry.name.startsWith('.') || name === WARC_DIR || /\.(download|tmp|partial|wacz)$/.test(entry.name)) {
+                continue;
             }
-            
-            // Replace invalid filename characters
-            pathname = pathname.replace(/[<>:"|?*]/g, '_');
-            
-            // Add query parameters to filename if they exist
-            if (urlObj.search) {
-                const queryString = urlObj.search.substring(1).replace(/[<>:"|?*&=]/g, '_');
-                pathname += '_' + queryString;
+            if (entry.isDirectory()) {
+                files.push(...await this.listArchiveFiles(path.join(dir, entry.name), name + '/'));
+            } else if (entry.isFile()) {
+                files.push(name);
             }
-            
-            return pathname;
-        } catch (error) {
-            return 'unknown_page';
         }
+        return files;
+    }
+
+    // Pack the output folder into <output-dir>.zip or <output-dir>.tar.gz next to it, together with
+    // a landing page and a manifest of the crawl
+    async createArchive(sitemapData) {
+        const format = this.options.archive;
+        const archivePath = `${path.resolve(this.outputDir)}.${format}`;
+        const files = await this.listArchiveFiles();
+
+        const startPage = sitemapData.pages.find(page => page.url === this.baseUrl) || sitemapData.pages[0] || null;
+        const manifest = {
+            baseUrl: sitemapData.baseUrl,
+            domain: sitemapData.domain,
+            generatedAt: sitemapData.generatedAt,
+            archivedAt: new Date().toISOString(),
+            format: format,
+            landingPage: ARCHIVE_LANDING_PAGE,
+            startPage: startPage ? startPage.fileName : null,
+            searchPage: await fs.pathExists(path.join(this.outputDir, SEARCH_PAGE)) ? SEARCH_PAGE : null,
+            totalPages: sitemapData.totalPages,
+            totalResources: sitemapData.totalResources,
+            totalFiles: files.length,
+            options: {
+                maxDepth: this.options.maxDepth,
+                maxPages: this.options.maxPages,
+                include: this.options.include.map(String),
+                exclude: this.options.exclude.map(String),
+                allowedHosts: this.options.allowedHosts,
+                crossOriginAssets: this.options.crossOriginAssets,
+                respectRobots: this.options.respectRobots
+            },
+            pages: sitemapData.pages.map(page => ({
+                url: page.url,
+                fileName: page.fileName,
+                title: page.title,
+                scrapedAt: page.scrapedAt,
+                linkCount: page.linkCount,
+                resourceCount: page.resourceCount
+            }))
+        };
+
+        console.log(`Creating ${format} archive with ${files.length} files...`);
+        const output = fs.createWriteStream(archivePath);
+        let writer;
+        if (format === 'zip') {
+            writer = new ZipWriter(output);
+        } else {
+            const gzip = zlib.createGzip();
+            gzip.pipe(output);
+            writer = new TarWriter(gzip);
+        }
+        const written = new Promise((resolve, reject) => {
+            output.once('finish', resolve);
+            output.once('error', reject);
+        });
+
+        await writer.addBuffer(ARCHIVE_LANDING_PAGE, Buffer.from(this.generateArchiveLandingPage(manifest), 'utf8'));
+        await writer.addBuffer(ARCHIVE_MANIFEST, Buffer.from(JSON.stringify(manifest, null, 2), 'utf8'));
+        for (const file of files) {
+            await writer.addFile(file, path.join(this.outputDir, file));
+        }
+        await writer.finish();
+        await written;
+
+        console.log(`Archive saved: ${archivePath} (open ${ARCHIVE_LANDING_PAGE} after extracting)`);
+        return archivePath;
+    }
+
+    generateArchiveLandingPage(manifest) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Offline copy - ${escapeHtml(manifest.domain)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; line-height: 1.6; }
+        .header { background: #f4f4f4; padding: 20px; border-radius: 5px; margin-bottom: 20px; }
+        .entry { display: inline-block; margin: 0 10px 20px 0; padding: 10px 20px; border: 1px solid #ddd; border-radius: 5px; font-size: 1.2em; }
+        .pages li { margin: 2px 0; }
+        .timestamp { color: #888; font-size: 0.9em; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>Offline copy of ${escapeHtml(manifest.domain)}</h1>
+        <p><strong>Base URL:</strong> ${escapeHtml(manifest.baseUrl)}</p>
+        <p><strong>Crawled:</strong> ${new Date(manifest.generatedAt).toLocaleString()}</p>
+        <p><strong>${manifest.totalPages}</strong> pages, <strong>${manifest.totalResources}</strong> resources</p>
+    </div>
+
+    ${manifest.startPage ? `<a class="entry" href="${encodeURI(manifest.startPage)}">Open the start page</a>` : ''}
+    <a class="entry" href="sitemap.html">Browse the sitemap</a>
+    ${manifest.searchPage ? `<a class="entry" href="${manifest.searchPage}">Search the pages</a>` : ''}
+
+    <h2>Pages</h2>
+    <ul class="pages">
+        ${manifest.pages.map(page => `<li><a href="${encodeURI(page.fileName)}">${escapeHtml(page.title || page.url)}</a> <span class="timestamp">${escapeHtml(page.url)}</span></li>`).join('')}
+    </ul>
+</body>
+</html>`;
     }
 
     async generateSitemap() {
@@ -1112,15 +2478,19 @@ class WebsiteScraper {
         
         // Convert sitemap to array
         for (const [url, data] of this.sitemap) {
+            const state = parseStateUrl(url);
             sitemapData.pages.push({
                 url: url,
-                fileName: this.urlToFilePath(url) + '.html',
+                fileName: this.urlToFilePath(url),
+                stateOf: state ? state.pageUrl : undefined, // Saved client-side state of this page
+                state: state ? `${state.name}-${state.index}` : undefined,
                 title: data.title,
                 scrapedAt: data.timestamp,
                 links: data.links,
                 resources: data.resources,
                 linkCount: data.links.length,
-                resourceCount: data.resources.length
+                resourceCount: data.resources.length,
+                readiness: data.readiness
             });
         }
         
@@ -1132,12 +2502,24 @@ class WebsiteScraper {
         await fs.writeFile(jsonPath, JSON.stringify(sitemapData, null, 2), 'utf8');
         console.log(`JSON sitemap saved: ${jsonPath}`);
         
+        // URL-to-file table shared with verify and serve
+        const mapPath = path.join(this.outputDir, URL_MAP_FILE);
+        const saved = (url) => this.visitedUrls.has(url) || this.downloadedResources.has(url);
+        await fs.writeFile(mapPath, JSON.stringify(this.urlMap.toJSON(saved), null, 2), 'utf8');
+        console.log(`URL map saved: ${mapPath}`);
+        
         // Generate HTML sitemap
         const htmlSitemap = this.generateHtmlSitemap(sitemapData);
         const htmlPath = path.join(this.outputDir, 'sitemap.html');
         await fs.writeFile(htmlPath, htmlSitemap, 'utf8');
         console.log(`HTML sitemap saved: ${htmlPath}`);
         
+        // Offline full-text search over the saved pages
+        if (this.options.search && this.options.htmlOutput) {
+            const indexed = await writeSearchIndex(this.outputDir, sitemapData);
+            console.log(`Search page saved: ${path.join(this.outputDir, SEARCH_PAGE)} (${indexed} pages indexed)`);
+        }
+        
         return sitemapData;
     }
     
@@ -1173,6 +2555,7 @@ class WebsiteScraper {
         <p><strong>Domain:</strong> ${data.domain}</p>
         <p><strong>Base URL:</strong> ${data.baseUrl}</p>
         <p><strong>Generated:</strong> ${new Date(data.generatedAt).toLocaleString()}</p>
+        ${this.options.search && this.options.htmlOutput ? `<p><a href="${SEARCH_PAGE}">Search the pages</a></p>` : ''}
     </div>
     
     <div class="stats">
@@ -1233,41 +2616,167 @@ class WebsiteScraper {
     }
 }
 
+// Scraper started by main(), checkpointed by the signal handlers below
+let activeScraper = null;
+// Preview server started by `serve`, whose missing-asset report is written on shutdown
+let activeServer = null;
+
+// Serve a scraped copy over local HTTP until interrupted
+async function serveOutput(outputDir, port, host) {
+    activeServer = await PreviewServer.fromOutputDir(outputDir);
+    const address = await activeServer.start(port, host);
+    console.log(`Serving ${path.resolve(outputDir)} at http://${address.address}:${address.port}/`);
+    if (activeServer.startUrl) {
+        console.log(`Start page: http://${address.address}:${address.port}/ (crawled from ${activeServer.startUrl})`);
+    }
+    console.log('Requests that find no file are logged as 404s; press Ctrl+C to stop and write the missing-asset report');
+}
+
+// Check the links and assets of a scraped copy and write verify-report.json / .html
+async function verifyOutputDir(outputDir, originHosts) {
+    console.log(`Verifying ${path.resolve(outputDir)}...`);
+    const report = await verifyOutput(outputDir, { originHosts });
+    const { jsonPath, htmlPath } = await writeVerifyReport(report);
+
+    const { summary } = report;
+    console.log(`Checked ${summary.references} references in ${summary.htmlFiles} HTML and ${summary.cssFiles} CSS files`);
+    console.log(`Dangling references: ${summary.dangling}`);
+    console.log(`Links to the original site: ${summary.absolute}`);
+    console.log(`Failed downloads: ${summary.failedDownloads}`);
+    console.log(`Report saved: ${jsonPath}, ${htmlPath}`);
+    if (summary.dangling > 0 || summary.failedDownloads > 0) {
+        process.exitCode = 1;
+    }
+}
+
+// Re-export a finished crawl as single-file pages and/or an archive without crawling again
+async function exportOutput(url, outputDir, options) {
+    if (!options.singleFile && !options.archive) {
+        console.error('Nothing to export: pass --single-file and/or --archive=zip|tar.gz');
+        process.exit(1);
+    }
+    const scraper = new WebsiteScraper(url, outputDir, options);
+    const sitemapData = await scraper.loadOutput();
+    if (options.singleFile) {
+        await scraper.exportSingleFiles();
+    }
+    if (options.archive) {
+        await scraper.createArchive(sitemapData);
+    }
+}
+
+// Start URL of an existing output directory, from its sitemap.json
+async function readBaseUrl(outputDir) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(outputDir, 'sitemap.json'), 'utf8')).baseUrl;
+    } catch (error) {
+        return null;
+    }
+}
+
 // Main execution
 async function main() {
-    const args = process.argv.slice(2);
-    
-    if (args.length === 0) {
-        console.log('Usage: node index.js <website-url> [output-directory]');
-        console.log('Example: node index.js https://projectgreeneo.eu/ my-scraped-site');
+    // Only the CLI checkpoints and exits on a signal; library users handle signals themselves
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    let cli;
+    try {
+        cli = parseCommandLine(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.log(usage());
         process.exit(1);
     }
+    if (cli.values.help) {
+        console.log(usage());
+        return;
+    }
+    
+    // Config file first, then flags on top of it
+    const config = cli.values.config
+        ? await loadConfigFile(cli.values.config, Object.keys(DEFAULT_OPTIONS))
+        : { url: undefined, outputDir: undefined, options: {} };
+    const options = { ...config.options, ...cli.options };
     
-    const websiteUrl = args[0];
-    const outputDir = args[1] || 'scraped-site';
+    if (cli.command === 'crawl') {
+        const websiteUrl = cli.positional[0] || config.url;
+        const outputDir = cli.positional[1] || cli.values.output || config.outputDir || 'scraped-site';
+        if (!websiteUrl) {
+            console.log(usage());
+            process.exit(1);
+        }
+        
+        console.log(`Starting website scraper...`);
+        console.log(`Target URL: ${websiteUrl}`);
+        console.log(`Output directory: ${outputDir}`);
+        if (cli.values.config) {
+            console.log(`Config file: ${path.resolve(cli.values.config)}`);
+        }
+        if (options.resume) {
+            console.log('Resuming from saved crawl state if present');
+        }
+        console.log('');
+        
+        activeScraper = new WebsiteScraper(websiteUrl, outputDir, options);
+        const summary = await activeScraper.scrape();
+        // scrape() reports failures (a lost session, a crashed browser) in the summary instead of throwing
+        if (summary.status === 'failed') {
+            process.exitCode = 1;
+        }
+        return;
+    }
     
-    console.log(`Starting website scraper...`);
-    console.log(`Target URL: ${websiteUrl}`);
-    console.log(`Output directory: ${outputDir}`);
-    console.log('');
+    const outputDir = cli.positional[0] || cli.values.output || config.outputDir || 'scraped-site';
+    if (!await fs.pathExists(outputDir)) {
+        console.error(`Output directory not found: ${outputDir}`);
+        process.exit(1);
+    }
     
-    const scraper = new WebsiteScraper(websiteUrl, outputDir);
-    await scraper.scrape();
+    if (cli.command === 'serve') {
+        await serveOutput(outputDir, cli.values.port || 8080, cli.values.host || '127.0.0.1');
+    } else if (cli.command === 'verify') {
+        await verifyOutputDir(outputDir, options.allowedHosts || []);
+    } else if (cli.command === 'export') {
+        const url = config.url || await readBaseUrl(outputDir);
+        if (!url) {
+            console.error(`No sitemap.json in ${outputDir}; run a crawl first or set "url" in the config file`);
+            process.exit(1);
+        }
+        await exportOutput(url, outputDir, options);
+    }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\\nReceived SIGINT, shutting down gracefully...');
-    process.exit(0);
-});
+// Exit statuses of a process stopped by a signal (128 + signal number), as shells report them
+const SIGNAL_EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
 
-process.on('SIGTERM', () => {
-    console.log('\\nReceived SIGTERM, shutting down gracefully...');
-    process.exit(0);
-});
+// Handle graceful shutdown: checkpoint the crawl so it can be continued with --resume
+async function shutdown(signal) {
+    console.log(`\nReceived ${signal}, shutting down gracefully...`);
+    if (activeServer) {
+        const reportPath = await activeServer.stop();
+        if (reportPath) {
+            console.log(`Missing-asset report (${activeServer.missing.size} paths) saved to ${reportPath}`);
+        } else {
+            console.log('No missing assets were requested');
+        }
+    }
+    if (activeScraper) {
+        await activeScraper.saveState('interrupted');
+        console.log(`Crawl state saved to ${activeScraper.stateFile}`);
+        if (activeScraper.browser) {
+            await activeScraper.browser.close().catch(() => {});
+        }
+    }
+    process.exit(SIGNAL_EXIT_CODES[signal]);
+}
 
 if (require.main === module) {
-    main().catch(console.error);
+    // Bad config files, flags or credentials end up here: report the message, not a stack trace
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
 }
 
 module.exports = WebsiteScraper;
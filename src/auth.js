@@ -0,0 +1,132 @@
+const fs = require('fs-extra');
+
+// Session setup for authenticated crawls: cookie jars, HTTP basic auth and extra headers.
+// "${NAME}" in credentials and header values is read from the environment, so config files
+// can be shared without the secrets in them.
+
+function expandEnv(value) {
+    return String(value).replace(/\$\{(\w+)\}/g, (match, name) => {
+        if (process.env[name] === undefined) {
+            throw new Error(`Environment variable ${name} is not set`);
+        }
+        return process.env[name];
+    });
+}
+
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None', no_restriction: 'None' };
+
+// One cookie from a JSON export (Puppeteer, Playwright storage state, browser extensions)
+function normalizeCookie(cookie, defaultDomain) {
+    const expires = cookie.expires !== undefined ? cookie.expires : (cookie.expirationDate !== undefined ? cookie.expirationDate : cookie.expiry);
+    const sameSite = cookie.sameSite ? SAME_SITE[String(cookie.sameSite).toLowerCase()] : undefined;
+    const normalized = {
+        name: String(cookie.name),
+        value: String(cookie.value),
+        domain: cookie.domain || defaultDomain,
+        path: cookie.path || '/',
+        secure: Boolean(cookie.secure),
+        httpOnly: Boolean(cookie.httpOnly)
+    };
+    if (typeof expires === 'number' && expires > 0) {
+        normalized.expires = expires;
+    }
+    if (sameSite) {
+        normalized.sameSite = sameSite;
+    }
+    return normalized;
+}
+
+// Netscape cookies.txt: domain, include-subdomains, path, secure, expiry, name, value (tab separated)
+function parseNetscapeCookies(text) {
+    const cookies = [];
+    for (let line of text.split(/\r?\n/)) {
+        let httpOnly = false;
+        if (line.startsWith('#HttpOnly_')) {
+            httpOnly = true;
+            line = line.substring('#HttpOnly_'.length);
+        }
+        if (!line.trim() || line.startsWith('#')) {
+            continue;
+        }
+        const fields = line.split('\t');
+        if (fields.length < 7) {
+            continue;
+        }
+        const [domain, includeSubdomains, cookiePath, secure, expiry, name, ...value] = fields;
+        const cookie = {
+            name: name,
+            value: value.join('\t'),
+            domain: includeSubdomains.toUpperCase() === 'TRUE' && !domain.startsWith('.') ? '.' + domain : domain,
+            path: cookiePath || '/',
+            secure: secure.toUpperCase() === 'TRUE',
+            httpOnly: httpOnly
+        };
+        const expires = parseInt(expiry, 10);
+        if (expires > 0) {
+            cookie.expires = expires;
+        }
+        cookies.push(cookie);
+    }
+    return cookies;
+}
+
+// Cookie jar in Netscape or JSON format -> cookies for browser.setCookie()
+function parseCookieJar(text, defaultDomain) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const data = JSON.parse(trimmed);
+        const cookies = Array.isArray(data) ? data : (data.cookies || []);
+        return cookies.map(cookie => normalizeCookie(cookie, defaultDomain));
+    }
+    return parseNetscapeCookies(text);
+}
+
+async function loadCookieJar(filePath, defaultDomain) {
+    try {
+        return parseCookieJar(await fs.readFile(filePath, 'utf8'), defaultDomain);
+    } catch (error) {
+        throw new Error(`Could not load cookies from ${filePath}: ${error.message}`);
+    }
+}
+
+// "user:password" or { username, password } -> { username, password }
+function parseHttpAuth(value) {
+    if (!value) {
+        return null;
+    }
+    if (typeof value === 'object') {
+        return { username: expandEnv(value.username || ''), password: expandEnv(value.password || '') };
+    }
+    const separator = String(value).indexOf(':');
+    if (separator === -1) {
+        throw new Error('HTTP auth must be given as user:password');
+    }
+    return { username: expandEnv(value.substring(0, separator)), password: expandEnv(value.substring(separator + 1)) };
+}
+
+// ["Name: value", ...] or { Name: value } -> { Name: value }
+function normalizeHeaders(headers) {
+    const result = {};
+    if (Array.isArray(headers)) {
+        for (const header of headers) {
+            const separator = header.indexOf(':');
+            if (separator === -1) {
+                throw new Error(`Header must be given as "Name: value", got "${header}"`);
+            }
+            result[header.substring(0, separator).trim()] = expandEnv(header.substring(separator + 1).trim());
+        }
+    } else {
+        for (const [name, value] of Object.entries(headers || {})) {
+            result[name] = expandEnv(value);
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    expandEnv,
+    parseCookieJar,
+    loadCookieJar,
+    parseHttpAuth,
+    normalizeHeaders
+};
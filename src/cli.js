@@ -0,0 +1,197 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// Command line parsing and per-site config files. Flags map onto WebsiteScraper options; a config
+// file holds the same options (camelCase) plus `url` and `outputDir`, and flags override it.
+
+const COMMANDS = {
+    crawl: 'Crawl a site into an output directory (default when the first argument is a URL)',
+    verify: 'Check a scraped copy for dangling references and failed downloads',
+    serve: 'Serve a scraped copy over local HTTP',
+    export: 'Export an existing copy as single-file pages and/or a zip / tar.gz archive'
+};
+
+// flag -> { type, option, negate, description }. `type` is boolean, string, number or list (repeatable).
+const FLAGS = {
+    'config': { type: 'string', short: 'c', description: 'JSON or JS config file with the site\'s settings' },
+    'output': { type: 'string', short: 'o', description: 'Output directory (same as the second argument)' },
+    'help': { type: 'boolean', short: 'h', description: 'Show this help' },
+
+    // Crawl state
+    'resume': { type: 'boolean', option: 'resume', description: 'Continue an interrupted crawl from its saved state' },
+    'update': { type: 'boolean', option: 'update', description: 'Revalidate an existing copy and only fetch what changed' },
+    'checkpoint-pages': { type: 'number', option: 'checkpointPages', description: 'Save the crawl state every N pages (default 25)' },
+    'checkpoint-interval': { type: 'number', option: 'checkpointInterval', description: 'Save the crawl state at least this often (ms, default 30000)' },
+
+    // Scheduling
+    'concurrency': { type: 'number', option: 'concurrency', description: 'Browser tabs crawling in parallel' },
+    'per-host': { type: 'number', option: 'perHostConcurrency', description: 'Max tabs loading the same host at once' },
+    'delay': { type: 'number', option: 'delay', description: 'Pause between page loads on the same host (ms)' },
+    'downloads': { type: 'number', option: 'downloadConcurrency', description: 'Max resource downloads in flight' },
+
+    // Browser
+    'wait': { type: 'number', option: 'pageWait', description: 'Extra wait after load for dynamic content (ms)' },
+    'ready': { type: 'list', option: 'readiness', description: 'Wait for networkidle[:MS], selector:CSS, js:EXPR, delay:MS or max:MS' },
+    'auto-scroll': { type: 'boolean', option: 'autoScroll', description: 'Scroll through each page so lazy-loaded content appears' },
+    'navigation-timeout': { type: 'number', option: 'navigationTimeout', description: 'Page load timeout (ms)' },
+    'download-timeout': { type: 'number', option: 'downloadTimeout', description: 'Resource download timeout (ms)' },
+    'viewport': { type: 'string', option: 'viewport', description: 'Browser viewport as WIDTHxHEIGHT' },
+    'user-agent': { type: 'string', option: 'userAgent', description: 'User agent for pages and downloads' },
+
+    // Authentication
+    'cookies': { type: 'string', option: 'cookies', description: 'Cookie jar to load (Netscape cookies.txt or JSON)' },
+    'login-script': { type: 'string', option: 'login', description: 'Script exporting async (page, scraper) that logs in' },
+    'auth': { type: 'string', option: 'httpAuth', description: 'HTTP basic auth as user:password (${ENV} allowed)' },
+    'header': { type: 'list', option: 'headers', description: 'Extra request header "Name: value" for the site\'s own hosts' },
+    'deny': { type: 'list', option: 'denyUrls', description: 'Never visit paths matching this glob or /regex/ (logout, delete...)' },
+    'no-default-deny': { type: 'boolean', option: 'defaultDenyList', negate: true, description: 'Drop the built-in logout/delete deny list' },
+    'login-page': { type: 'list', option: 'loginPages', description: 'Glob or /regex/ of the login page, to detect session loss' },
+    'logged-in-selector': { type: 'string', option: 'loggedInSelector', description: 'Selector on every page while logged in' },
+
+    // robots.txt and sitemaps
+    'ignore-robots': { type: 'boolean', option: 'respectRobots', negate: true, description: 'Do not honor robots.txt' },
+    'no-sitemap': { type: 'boolean', option: 'seedSitemaps', negate: true, description: 'Do not seed the crawl from sitemap.xml' },
+    'robots-agent': { type: 'string', option: 'robotsUserAgent', description: 'User agent matched against robots.txt' },
+
+    // Scope
+    'include': { type: 'list', option: 'include', description: 'Only crawl paths matching this glob or /regex/' },
+    'exclude': { type: 'list', option: 'exclude', description: 'Never crawl paths matching this glob or /regex/' },
+    'max-depth': { type: 'number', option: 'maxDepth', description: 'Max links followed from the start URL' },
+    'max-pages': { type: 'number', option: 'maxPages', description: 'Stop after this many pages' },
+    'stay-under-start-path': { type: 'boolean', option: 'stayUnderStartPath', description: 'Only crawl below the start URL\'s directory' },
+    'allow-host': { type: 'list', option: 'allowedHosts', description: 'Extra host treated as part of the site' },
+
+    // Assets
+    'cross-origin-assets': { type: 'boolean', option: 'crossOriginAssets', description: 'Also download assets from other hosts' },
+    'asset-host': { type: 'list', option: 'assetHosts', description: 'Only download third-party assets from this host' },
+    'deny-asset-host': { type: 'list', option: 'denyAssetHosts', description: 'Never download assets from this host' },
+    'capture': { type: 'boolean', option: 'capture', description: 'Save resources from the browser\'s own responses' },
+    'replay-api': { type: 'boolean', option: 'replayApi', description: 'Record XHR/fetch responses and replay them offline' },
+
+    // Output
+    'warc': { type: 'boolean', option: 'warc', description: 'Write a WARC file of all traffic' },
+    'wacz': { type: 'boolean', option: 'wacz', description: 'Also package the WARC as WACZ' },
+    'archive-only': { type: 'boolean', option: 'htmlOutput', negate: true, description: 'Only write the WARC/WACZ output' },
+    'single-file': { type: 'boolean', option: 'singleFile', description: 'Export self-contained single-file pages' },
+    'archive': { type: 'string', option: 'archive', description: 'Pack the copy as zip or tar.gz' },
+    'no-search': { type: 'boolean', option: 'search', negate: true, description: 'Do not build the offline search page' },
+
+    // serve
+    'port': { type: 'number', description: 'serve: port to listen on (default 8080)' },
+    'host': { type: 'string', description: 'serve: address to listen on (default 127.0.0.1)' }
+};
+
+function usage() {
+    const lines = [
+        'Usage: node index.js [crawl] <website-url> [output-directory] [options]',
+        '       node index.js verify [output-directory] [--allow-host=HOST]',
+        '       node index.js serve [output-directory] [--port=N] [--host=ADDRESS]',
+        '       node index.js export [output-directory] [--single-file] [--archive=zip|tar.gz]',
+        '       node index.js <command> --config=site.json',
+        '',
+        'Commands:',
+        ...Object.entries(COMMANDS).map(([name, description]) => `  ${name.padEnd(8)} ${description}`),
+        '',
+        'Options:'
+    ];
+    for (const [name, flag] of Object.entries(FLAGS)) {
+        const value = flag.type === 'boolean' ? '' : flag.type === 'number' ? '=N' : '=VALUE';
+        const short = flag.short ? `-${flag.short}, ` : '    ';
+        lines.push(`  ${short}--${(name + value).padEnd(26)} ${flag.description}${flag.type === 'list' ? ' (repeatable)' : ''}`);
+    }
+    lines.push('', 'Example: node index.js https://projectgreeneo.eu/ my-scraped-site --concurrency=2');
+    return lines.join('\n');
+}
+
+// "1366x768" -> { width: 1366, height: 768 }
+function parseViewport(value) {
+    const match = /^(\d+)x(\d+)$/i.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`--viewport expects WIDTHxHEIGHT, got "${value}"`);
+    }
+    return { width: parseInt(match[1], 10), height: parseInt(match[2], 10) };
+}
+
+// Parse argv into { command, positional, values, options }. `options` only holds the flags that were
+// given, so they can be laid over a config file without resetting its values to the defaults.
+function parseCommandLine(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        strict: true,
+        options: Object.fromEntries(Object.entries(FLAGS).map(([name, flag]) => [name, {
+            type: flag.type === 'boolean' ? 'boolean' : 'string',
+            multiple: flag.type === 'list',
+            ...(flag.short ? { short: flag.short } : {})
+        }]))
+    });
+
+    // Without a command the first argument is the URL, as in the original `node index.js <url> [dir]`
+    const command = COMMANDS[positionals[0]] ? positionals[0] : 'crawl';
+    const positional = positionals[0] === command ? positionals.slice(1) : positionals;
+
+    const parsed = {};
+    const options = {};
+    for (const [name, flag] of Object.entries(FLAGS)) {
+        if (values[name] === undefined) {
+            continue;
+        }
+        let value = values[name];
+        if (flag.type === 'number') {
+            value = Number(value);
+            if (!Number.isFinite(value)) {
+                throw new Error(`--${name} expects a number, got "${values[name]}"`);
+            }
+        } else if (name === 'viewport') {
+            value = parseViewport(value);
+        }
+        if (flag.option) {
+            options[flag.option] = flag.negate ? !value : value;
+        } else {
+            parsed[name] = value;
+        }
+    }
+
+    return { command, positional, values: parsed, options };
+}
+
+// Load a per-site config file. JS files may export an object or a (possibly async) function returning one.
+async function loadConfigFile(file, knownOptions) {
+    const configPath = path.resolve(file);
+    let config;
+    if (/\.(c?js)$/i.test(configPath)) {
+        config = require(configPath);
+        if (typeof config === 'function') {
+            config = await config();
+        }
+    } else {
+        try {
+            config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read config file ${configPath}: ${error.message}`);
+        }
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Config file ${configPath} must contain an object`);
+    }
+
+    const { url, outputDir, ...options } = config;
+    for (const key of Object.keys(options)) {
+        if (!knownOptions.includes(key)) {
+            console.log(`Warning: unknown option "${key}" in ${configPath}`);
+        }
+    }
+    if (typeof options.viewport === 'string') {
+        options.viewport = parseViewport(options.viewport);
+    }
+    return { url, outputDir, options };
+}
+
+module.exports = {
+    COMMANDS,
+    FLAGS,
+    usage,
+    parseCommandLine,
+    loadConfigFile
+};
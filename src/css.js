@@ -0,0 +1,155 @@
+// References in stylesheets, <style> blocks and style attributes, found with a small CSS tokenizer
+// so comments, format("woff2"), local("Font") and content: "..." strings are never taken for URLs.
+// A reference is { url, kind, start, end, quote }:
+//   url        url(x), url("x")                         kind 'url'
+//   import     @import "x.css", @import url(x.css)      kind 'import'
+//   image-set  image-set("a.png" 1x, "b.png" 2x)        kind 'image-set' (url() inside is kind 'url')
+// start/end delimit the source text to replace: the whole url(x) token for unquoted URLs, otherwise
+// the string including its quotes. data: URIs are not references.
+
+const IMAGE_SET_FUNCTION = /^(-webkit-)?image-set$/i;
+
+// Undo CSS escapes: "\31 0" -> "10", "\)" -> ")"; an escaped newline in a string is removed
+function unescapeCss(text) {
+    return text.replace(/\\(?:([0-9a-fA-F]{1,6})[ \t\n\r\f]?|(\r\n|[\n\r\f])|([\s\S]))/g, (match, hex, newline, char) => {
+        if (hex) {
+            const code = parseInt(hex, 16);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\ufffd';
+        }
+        return newline ? '' : char;
+    });
+}
+
+// A CSS string literal with `value` in it
+function cssString(value, quote = '\'') {
+    return quote + value.replace(/\\/g, '\\\\').replace(new RegExp(quote, 'g'), '\\' + quote).replace(/\n/g, '\\a ') + quote;
+}
+
+const isNameChar = (char) => /[\w\u0080-\uffff-]/.test(char);
+
+// Tokens that matter for references: { type: 'string' | 'url' | 'function' | 'at-keyword' | ')' | ';' | '{' | '}' | 'other', value, start, end, quote }
+// Whitespace and comments are dropped.
+function tokenizeCss(css) {
+    const tokens = [];
+    let i = 0;
+    while (i < css.length) {
+        const char = css[i];
+        const start = i;
+
+        if (char === '/' && css[i + 1] === '*') {
+            const end = css.indexOf('*/', i + 2);
+            i = end === -1 ? css.length : end + 2;
+        } else if (/\s/.test(char)) {
+            i++;
+        } else if (char === '"' || char === '\'') {
+            i++;
+            while (i < css.length && css[i] !== char && css[i] !== '\n') {
+                i += css[i] === '\\' ? 2 : 1;
+            }
+            const raw = css.substring(start + 1, Math.min(i, css.length));
+            i = Math.min(i + 1, css.length);
+            tokens.push({ type: 'string', value: unescapeCss(raw), start, end: i, quote: char });
+        } else if (char === '@' && isNameChar(css[i + 1] || '')) {
+            i++;
+            while (i < css.length && isNameChar(css[i])) {
+                i++;
+            }
+            tokens.push({ type: 'at-keyword', value: css.substring(start + 1, i).toLowerCase(), start, end: i });
+        } else if (isNameChar(char) || char === '\\') {
+            while (i < css.length && (isNameChar(css[i]) || css[i] === '\\')) {
+                i += css[i] === '\\' ? 2 : 1;
+            }
+            const name = unescapeCss(css.substring(start, i));
+            if (css[i] !== '(') {
+                tokens.push({ type: 'other', value: name, start, end: i });
+                continue;
+            }
+            i++;
+            // url( followed by an unquoted URL is a single token; url("x") is a function with a string
+            let j = i;
+            while (j < css.length && /\s/.test(css[j])) {
+                j++;
+            }
+            if (name.toLowerCase() === 'url' && css[j] !== '"' && css[j] !== '\'') {
+                let end = j;
+                while (end < css.length && css[end] !== ')') {
+                    end += css[end] === '\\' ? 2 : 1;
+                }
+                tokens.push({ type: 'url', value: unescapeCss(css.substring(j, Math.min(end, css.length)).trim()), start, end: Math.min(end + 1, css.length) });
+                i = Math.min(end + 1, css.length);
+            } else {
+                tokens.push({ type: 'function', value: name.toLowerCase(), start, end: i });
+            }
+        } else {
+            i++;
+            tokens.push({ type: '(){};'.includes(char) ? char : 'other', value: char, start, end: i });
+        }
+    }
+    return tokens;
+}
+
+// Every reference in a stylesheet, in source order
+function parseCssReferences(css) {
+    const references = [];
+    const functions = []; // names of the open functions
+    let importRule = false; // between @import and its ";"
+    const add = (token, kind) => {
+        const url = token.value.trim();
+        if (url && !/^data:/i.test(url)) {
+            references.push({ url, kind: importRule ? 'import' : kind, start: token.start, end: token.end, quote: token.quote || null });
+        }
+    };
+
+    for (const token of tokenizeCss(css)) {
+        const current = functions[functions.length - 1];
+        if (token.type === 'at-keyword') {
+            importRule = token.value === 'import';
+        } else if (token.type === ';' || token.type === '{' || token.type === '}') {
+            importRule = false;
+            functions.length = 0;
+        } else if (token.type === 'function' || token.type === '(') {
+            functions.push(token.type === 'function' ? token.value : '(');
+        } else if (token.type === ')') {
+            functions.pop();
+        } else if (token.type === 'url') {
+            add(token, 'url');
+        } else if (token.type === 'string') {
+            if (current === 'url') {
+                add(token, 'url');
+            } else if (current !== undefined && IMAGE_SET_FUNCTION.test(current)) {
+                add(token, 'image-set');
+            } else if (importRule && current === undefined) {
+                add(token, 'import');
+            }
+        }
+    }
+    return references;
+}
+
+// Rebuild a stylesheet with every reference passed through `replacer(url, reference)`. The replacer
+// may be async; returning null keeps the original reference.
+async function replaceCssUrls(css, replacer) {
+    let result = '';
+    let lastIndex = 0;
+    for (const reference of parseCssReferences(css)) {
+        const replacement = await replacer(reference.url, reference);
+        if (replacement === null || replacement === undefined) {
+            continue;
+        }
+        const text = reference.quote ? cssString(replacement, reference.quote) : `url(${cssString(replacement)})`;
+        result += css.substring(lastIndex, reference.start) + text;
+        lastIndex = reference.end;
+    }
+    return result + css.substring(lastIndex);
+}
+
+// Every URL a stylesheet references: url() values, @import targets and image-set() candidates
+function findCssReferences(css) {
+    return parseCssReferences(css).map(reference => reference.url);
+}
+
+module.exports = {
+    parseCssReferences,
+    replaceCssUrls,
+    findCssReferences
+};
@@ -0,0 +1,93 @@
+// Page interaction before the DOM is serialized: scrolling through the page so lazy content loads,
+// and declarative steps such as clicking "load more", expanding accordions or dismissing cookie banners.
+//   { click: 'selector' }                  click the first match, if there is one
+//   { click: 'selector', all: true }       click every match (accordions, "show more" toggles)
+//   { click: 'selector', repeat: 20 }      click while it exists, at most 20 times ("load more")
+//   { waitFor: 'selector', timeout: ms }   wait for an element
+//   { evaluate: 'js' }                     run a script in the page
+//   { scroll: true }                       scroll to the bottom, like the autoScroll option
+// Clicks take `wait` ms (default 500) to let the page react.
+
+const DEFAULT_SCROLL = { step: 0, delay: 200, maxScrolls: 50, settle: 5000 };
+const DEFAULT_CLICK_WAIT = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Scroll down a viewport at a time until the page stops growing or maxScrolls is reached, back to
+// the top, then give the lazy requests up to `settle` ms to finish. Returns the number of scrolls.
+async function autoScroll(page, options = {}) {
+    const { step, delay, maxScrolls, settle } = { ...DEFAULT_SCROLL, ...(typeof options === 'object' ? options : {}) };
+    const scrolls = await page.evaluate(async (step, delay, maxScrolls) => {
+        const scroller = document.scrollingElement || document.documentElement;
+        let count = 0;
+        while (count < maxScrolls) {
+            const height = scroller.scrollHeight;
+            window.scrollBy(0, step || window.innerHeight);
+            count++;
+            await new Promise(resolve => setTimeout(resolve, delay));
+            const atBottom = window.scrollY + window.innerHeight >= scroller.scrollHeight - 1;
+            if (atBottom && scroller.scrollHeight === height) {
+                break;
+            }
+        }
+        window.scrollTo(0, 0);
+        return count;
+    }, step, delay, maxScrolls);
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: settle }).catch(() => {});
+    return scrolls;
+}
+
+// Click matches of `selector` in the page; returns how many were clicked
+function clickInPage(page, selector, all) {
+    return page.evaluate((selector, all) => {
+        const elements = all ? Array.from(document.querySelectorAll(selector)) : [document.querySelector(selector)].filter(Boolean);
+        elements.forEach(element => element.click());
+        return elements.length;
+    }, selector, all);
+}
+
+async function runStep(page, step) {
+    if (step.click) {
+        const wait = step.wait === undefined ? DEFAULT_CLICK_WAIT : step.wait;
+        let clicks = 0;
+        for (let i = 0; i < (step.repeat || 1); i++) {
+            const clicked = await clickInPage(page, step.click, step.all);
+            if (clicked === 0) {
+                break;
+            }
+            clicks += clicked;
+            await sleep(wait);
+        }
+        return `clicked ${step.click} ${clicks}x`;
+    }
+    if (step.waitFor) {
+        await page.waitForSelector(step.waitFor, { timeout: step.timeout || 10000 });
+        return `found ${step.waitFor}`;
+    }
+    if (step.evaluate) {
+        await page.evaluate(step.evaluate);
+        return 'ran script';
+    }
+    if (step.scroll) {
+        return `scrolled ${await autoScroll(page, step.scroll)}x`;
+    }
+    throw new Error(`Unknown interaction step ${JSON.stringify(step)}`);
+}
+
+// Run the steps in order. A failing step is logged and the rest still run, so one missing
+// button does not lose the page.
+async function runSteps(page, steps, url) {
+    for (const step of steps) {
+        try {
+            const result = await runStep(page, step);
+            console.log(`Interaction on ${url}: ${result}`);
+        } catch (error) {
+            console.error(`Interaction step failed on ${url}:`, error.message);
+        }
+    }
+}
+
+module.exports = {
+    autoScroll,
+    runSteps
+};
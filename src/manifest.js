@@ -0,0 +1,10 @@
+// The manifest lists what a crawl saved: every page and resource with its file, validators
+// (ETag, Last-Modified) and content hash. The crawler writes it; --update and `verify` read it.
+
+const MANIFEST_FILE_NAME = '.scrape-manifest.json';
+const MANIFEST_VERSION = 1;
+
+module.exports = {
+    MANIFEST_FILE_NAME,
+    MANIFEST_VERSION
+};
@@ -0,0 +1,83 @@
+const path = require('path');
+
+// File extension <-> Content-Type, shared by the single-file export, the preview server and the URL-to-file mapping
+
+const MIME_TYPES = {
+    '.css': 'text/css',
+    '.js': 'text/javascript',
+    '.mjs': 'text/javascript',
+    '.json': 'application/json',
+    '.jsonl': 'application/x-ndjson',
+    '.map': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.wasm': 'application/wasm',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.bmp': 'image/bmp',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.eot': 'application/vnd.ms-fontobject',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.vtt': 'text/vtt',
+    '.pdf': 'application/pdf',
+    '.html': 'text/html',
+    '.txt': 'text/plain',
+    '.xml': 'application/xml',
+    '.zip': 'application/zip',
+    '.gz': 'application/gzip'
+};
+
+function mimeTypeFor(filePath) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+// Other names servers use for the types above
+const MIME_ALIASES = {
+    'application/javascript': '.js',
+    'application/x-javascript': '.js',
+    'text/ecmascript': '.js',
+    'image/jpg': '.jpg',
+    'image/pjpeg': '.jpg',
+    'image/vnd.microsoft.icon': '.ico',
+    'application/font-woff': '.woff',
+    'application/x-font-woff': '.woff',
+    'font/x-woff': '.woff',
+    'application/font-woff2': '.woff2',
+    'application/x-font-ttf': '.ttf',
+    'application/x-font-truetype': '.ttf',
+    'application/x-font-otf': '.otf',
+    'font/opentype': '.otf',
+    'text/xml': '.xml',
+    'audio/mp3': '.mp3',
+    'audio/x-wav': '.wav',
+    'application/x-gzip': '.gz',
+    'application/xhtml+xml': '.html'
+};
+
+// Content-Type -> file extension, or null for unknown and generic types (application/octet-stream)
+function extensionFor(contentType) {
+    const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (MIME_ALIASES[mimeType]) {
+        return MIME_ALIASES[mimeType];
+    }
+    const match = Object.entries(MIME_TYPES).find(([, type]) => type === mimeType);
+    return match ? match[0] : null;
+}
+
+module.exports = {
+    MIME_TYPES,
+    mimeTypeFor,
+    extensionFor
+};
@@ -0,0 +1,105 @@
+// Render-readiness strategies: what scrapePage waits for between DOMContentLoaded and reading the DOM.
+// A strategy lists conditions that race each other; the first one met ends the wait, and maxWait
+// caps it when none is:
+//   { networkIdle: true | idleMs, selector: 'css', predicate: 'js expression' | function, delay: ms, maxWait: ms }
+// On the command line a strategy is written as tokens: "networkidle", "networkidle:800",
+// "selector:#app", "js:window.appReady", "delay:2000", "max:15000".
+
+const DEFAULT_IDLE_TIME = 500;
+const DEFAULT_MAX_WAIT = 30000;
+
+const TOKEN_KEYS = {
+    networkidle: 'networkIdle',
+    selector: 'selector',
+    js: 'predicate',
+    delay: 'delay',
+    max: 'maxWait'
+};
+
+function parseToken(token) {
+    const separator = token.indexOf(':');
+    const name = (separator === -1 ? token : token.substring(0, separator)).trim().toLowerCase();
+    const value = separator === -1 ? '' : token.substring(separator + 1).trim();
+    const key = TOKEN_KEYS[name];
+    if (!key) {
+        throw new Error(`Unknown readiness condition "${token}" (use networkidle, selector:, js:, delay: or max:)`);
+    }
+    if (key === 'networkIdle') {
+        return { networkIdle: value ? Number(value) : true };
+    }
+    if (key === 'delay' || key === 'maxWait') {
+        return { [key]: Number(value) };
+    }
+    if (!value) {
+        throw new Error(`Readiness condition "${token}" needs a value`);
+    }
+    return { [key]: value };
+}
+
+// Strategy object, token string or list of tokens -> { networkIdle, selector, predicate, delay, maxWait }.
+// A strategy without maxWait takes the one of `fallback`.
+function normalizeReadiness(value, fallback = {}) {
+    let strategy = value;
+    if (typeof value === 'string' || Array.isArray(value)) {
+        strategy = Object.assign({}, ...[].concat(value).map(parseToken));
+    }
+    const { networkIdle, selector, predicate, delay, maxWait } = strategy || {};
+    const normalized = {
+        networkIdle: networkIdle === true ? DEFAULT_IDLE_TIME : (networkIdle || null),
+        selector: selector || null,
+        predicate: predicate || null,
+        delay: delay === undefined || delay === null ? null : delay,
+        maxWait: maxWait || fallback.maxWait || DEFAULT_MAX_WAIT
+    };
+    for (const key of ['networkIdle', 'delay', 'maxWait']) {
+        if (normalized[key] !== null && !(Number.isFinite(normalized[key]) && normalized[key] >= 0)) {
+            throw new Error(`Readiness ${key} must be a number of milliseconds, got "${strategy[key]}"`);
+        }
+    }
+    return normalized;
+}
+
+// Wait until the first condition of the strategy is met. Returns { condition, ms }, where condition
+// is networkIdle, selector, predicate, delay or maxWait.
+async function waitForReady(page, strategy) {
+    const started = Date.now();
+    const controller = new AbortController();
+    const options = { timeout: strategy.maxWait, signal: controller.signal };
+    const conditions = [];
+
+    if (strategy.networkIdle !== null) {
+        conditions.push(['networkIdle', () => page.waitForNetworkIdle({ ...options, idleTime: strategy.networkIdle, concurrency: 0 })]);
+    }
+    if (strategy.selector) {
+        conditions.push(['selector', () => page.waitForSelector(strategy.selector, options)]);
+    }
+    if (strategy.predicate) {
+        conditions.push(['predicate', () => page.waitForFunction(strategy.predicate, { ...options, polling: 100 })]);
+    }
+    if (strategy.delay !== null) {
+        conditions.push(['delay', () => new Promise(resolve => setTimeout(resolve, Math.min(strategy.delay, strategy.maxWait)))]);
+    }
+
+    let timer;
+    const maxWait = new Promise(resolve => {
+        timer = setTimeout(() => resolve('maxWait'), strategy.maxWait);
+    });
+
+    // A condition that fails (bad selector, script error, timeout) drops out and leaves the others racing
+    const never = new Promise(() => {});
+    const condition = await Promise.race([maxWait, ...conditions.map(([name, wait]) => wait().then(() => name, (error) => {
+        if (!controller.signal.aborted && error.name !== 'TimeoutError') {
+            console.log(`Readiness condition ${name} failed: ${error.message}`);
+        }
+        return never;
+    }))]);
+
+    clearTimeout(timer);
+    controller.abort();
+    return { condition, ms: Date.now() - started };
+}
+
+module.exports = {
+    normalizeReadiness,
+    waitForReady
+};
@@ -0,0 +1,148 @@
+// Offline replay of recorded XHR/fetch responses. Each saved page gets an inline script with the
+// responses it made during the crawl, plus the shared shim below that answers fetch() and
+// XMLHttpRequest from that data before falling back to the network.
+
+const REPLAY_SHIM_FILE = 'assets/offline-replay.js';
+
+const REPLAY_SHIM_SOURCE = `(function () {
+    var data = window.__OFFLINE_REPLAY__ || {};
+    var baseUrl = window.__OFFLINE_REPLAY_BASE__ || location.href;
+
+    // Requests are keyed by method and absolute URL, resolved against the page's original URL
+    function lookup(method, url) {
+        var absolute;
+        try {
+            absolute = new URL(String(url), baseUrl).href.split('#')[0];
+        } catch (e) {
+            return null;
+        }
+        return data[String(method || 'GET').toUpperCase() + ' ' + absolute] || null;
+    }
+
+    var originalFetch = window.fetch;
+    window.fetch = function (input, init) {
+        var isRequest = typeof Request !== 'undefined' && input instanceof Request;
+        var url = isRequest ? input.url : input;
+        var method = (init && init.method) || (isRequest ? input.method : 'GET');
+        var entry = lookup(method, url);
+        if (!entry) {
+            return originalFetch ? originalFetch.apply(this, arguments) : Promise.reject(new TypeError('Failed to fetch'));
+        }
+        return Promise.resolve(new Response(entry.body, {
+            status: entry.status,
+            headers: { 'Content-Type': entry.contentType }
+        }));
+    };
+
+    var proto = window.XMLHttpRequest && window.XMLHttpRequest.prototype;
+    if (!proto) {
+        return;
+    }
+    var originalOpen = proto.open;
+    var originalSend = proto.send;
+    var originalSetRequestHeader = proto.setRequestHeader;
+    var originalGetResponseHeader = proto.getResponseHeader;
+    var originalGetAllResponseHeaders = proto.getAllResponseHeaders;
+
+    function define(xhr, name, value) {
+        Object.defineProperty(xhr, name, { configurable: true, get: function () { return value; } });
+    }
+
+    proto.open = function (method, url) {
+        this.__replayEntry = lookup(method, url);
+        if (!this.__replayEntry) {
+            return originalOpen.apply(this, arguments);
+        }
+        define(this, 'readyState', 1);
+        this.dispatchEvent(new Event('readystatechange'));
+    };
+
+    proto.setRequestHeader = function () {
+        if (!this.__replayEntry) {
+            return originalSetRequestHeader.apply(this, arguments);
+        }
+    };
+
+    proto.getResponseHeader = function (name) {
+        if (!this.__replayEntry) {
+            return originalGetResponseHeader.apply(this, arguments);
+        }
+        return String(name).toLowerCase() === 'content-type' ? this.__replayEntry.contentType : null;
+    };
+
+    proto.getAllResponseHeaders = function () {
+        if (!this.__replayEntry) {
+            return originalGetAllResponseHeaders.apply(this, arguments);
+        }
+        return 'content-type: ' + this.__replayEntry.contentType + '\\r\\n';
+    };
+
+    proto.send = function () {
+        var entry = this.__replayEntry;
+        if (!entry) {
+            return originalSend.apply(this, arguments);
+        }
+        var xhr = this;
+        setTimeout(function () {
+            var response = entry.body;
+            if (xhr.responseType === 'json') {
+                try {
+                    response = JSON.parse(entry.body);
+                } catch (e) {
+                    response = null;
+                }
+            }
+            define(xhr, 'status', entry.status);
+            define(xhr, 'statusText', 'OK');
+            define(xhr, 'responseURL', entry.url);
+            define(xhr, 'responseText', entry.body);
+            define(xhr, 'response', response);
+            define(xhr, 'readyState', 4);
+            xhr.dispatchEvent(new Event('readystatechange'));
+            xhr.dispatchEvent(new ProgressEvent('load'));
+            xhr.dispatchEvent(new ProgressEvent('loadend'));
+        }, 0);
+    };
+})();
+`;
+
+// Serialize data for an inline <script> without letting it close the tag early
+function toInlineJson(value) {
+    return JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+// The <script> tags that go at the top of <head>: the page's recorded responses, then the shim
+function buildReplayScripts(entries, pageUrl, shimSrc) {
+    const data = {};
+    for (const entry of entries) {
+        data[`${entry.method} ${entry.url.split('#')[0]}`] = {
+            url: entry.url,
+            status: entry.status,
+            contentType: entry.contentType,
+            body: entry.body
+        };
+    }
+
+    return `<script>window.__OFFLINE_REPLAY_BASE__ = ${toInlineJson(pageUrl)}; window.__OFFLINE_REPLAY__ = ${toInlineJson(data)};</script>` +
+        `<script src="${shimSrc}"></script>`;
+}
+
+// Insert markup right after the opening <head> tag, or at the start of the document
+function injectIntoHead(html, markup) {
+    const head = /<head\b[^>]*>/i.exec(html);
+    if (head) {
+        const index = head.index + head[0].length;
+        return html.substring(0, index) + markup + html.substring(index);
+    }
+    return markup + html;
+}
+
+module.exports = {
+    REPLAY_SHIM_FILE,
+    REPLAY_SHIM_SOURCE,
+    buildReplayScripts,
+    injectIntoHead
+};
@@ -0,0 +1,511 @@
+const { parseCssReferences, replaceCssUrls, findCssReferences } = require('./css');
+const { relativeHref } = require('./url-map');
+
+// Offline rewriting of a saved page, in Node on the HTML serialized from the tab, so it can run
+// (and be tested) without a browser. findResources lists what a page loads; rewriteHtml turns links
+// to crawled pages and references to downloaded resources (in attributes, <style> blocks and style
+// attributes) into paths relative to the page's file,
+// promotes lazy-loading attributes and removes <base> tags and scripts that break offline.
+// Files come from the URL-to-file map through two lookups:
+//   pageUrl             URL the page was loaded from; references resolve against it
+//   pageFile            the page's saved file, "blog/post.html"
+//   linkFile(url)       saved file of a linked page URL (without hash), or null to leave the link alone
+//   resourceFile(url)   downloaded file of a resource URL, or null
+//   keepApiScripts      keep inline scripts that call APIs (--replay-api replays them)
+
+// Resource attributes per tag and the type of resource they load. data-* attributes are the
+// lazy-loading variants that the site's scripts copy to the real attribute.
+const RESOURCE_ATTRIBUTES = {
+    img: { src: 'image', srcset: 'image', 'data-src': 'image', 'data-srcset': 'image', 'data-lazy-src': 'image', 'data-lazy-srcset': 'image', 'data-original': 'image' },
+    source: { src: 'media', srcset: 'image', 'data-src': 'media', 'data-srcset': 'image' },
+    video: { src: 'media', poster: 'image', 'data-src': 'media', 'data-poster': 'image' },
+    audio: { src: 'media', 'data-src': 'media' },
+    track: { src: 'media' },
+    input: { src: 'image' },
+    embed: { src: 'document' },
+    object: { data: 'document' },
+    script: { src: 'js' },
+    image: { href: 'image', 'xlink:href': 'image' },
+    use: { href: 'image', 'xlink:href': 'image' },
+    body: { background: 'image' },
+    table: { background: 'image' },
+    td: { background: 'image' },
+    th: { background: 'image' }
+};
+const SRCSET_ATTRIBUTES = ['srcset', 'imagesrcset', 'data-srcset', 'data-lazy-srcset'];
+
+// Lazy-loading attributes and the attribute they are promoted to, so images show without the site's scripts
+const LAZY_ATTRIBUTES = { 'data-src': 'src', 'data-lazy-src': 'src', 'data-original': 'src', 'data-srcset': 'srcset', 'data-lazy-srcset': 'srcset', 'data-poster': 'poster' };
+// Lazy background images on any element: data-bg="img.jpg" or data-bg="url(img.jpg)"
+const LAZY_BACKGROUND_ATTRIBUTES = ['data-bg', 'data-background', 'data-background-image'];
+
+// Elements that show another page: linked like <a href>, not downloaded
+const FRAME_ATTRIBUTES = { iframe: ['src', 'data-src'], frame: ['src'] };
+
+// <link rel> values that name a page or an origin instead of loading something
+const NON_RESOURCE_RELS = /\b(canonical|alternate|shortlink|preconnect|dns-prefetch|pingback|me|author|license)\b/i;
+const PRELOAD_TYPES = { style: 'css', script: 'js', image: 'image', font: 'font' };
+
+// Social preview images: <meta property="og:image" content="...">
+const IMAGE_META = /^(og:image(:url|:secure_url)?|twitter:image(:src)?)$/i;
+
+// Links to these are downloaded as documents instead of crawled as pages
+const DOCUMENT_EXTENSIONS = ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'zip', 'rar', 'mp4', 'mp3', 'wav', 'avi', 'mov', 'wmv', 'flv', 'webm', 'ogg'];
+
+// Inline scripts that only report connectivity problems or time out against the live backend
+const OFFLINE_ERROR_PATTERNS = ['The backend is not responding', 'server timeout', 'connection problem', 'check your connection', 'matomo.eea.europa.eu'];
+const TRACKING_PATTERN = /analytics|gtag|google-analytics|matomo|tracking/;
+
+// Comments, raw-text elements (matched whole, with their content) and start tags
+const MARKUP_PATTERN = /<!--[\s\S]*?-->|<(script|style)\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/\1\s*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+const ATTRIBUTE_PATTERN = /(\s+)([^\s"'>\/=]+)(?:(\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/y;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+function decodeAttribute(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity.toLowerCase()] || match;
+    });
+}
+
+// Text for HTML content and double-quoted attributes in generated pages (reports, sitemaps, nav bars)
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+// "<img src=a.png alt='x'>" attributes -> [{ name, value, raw }]; `rest` keeps what follows them ("/", spaces)
+function parseTag(attributeText) {
+    const attributes = [];
+    const pattern = new RegExp(ATTRIBUTE_PATTERN.source, 'y');
+    let end = 0;
+    let match;
+    while ((match = pattern.exec(attributeText)) !== null) {
+        end = pattern.lastIndex;
+        const raw = match[4] !== undefined ? match[4] : match[5] !== undefined ? match[5] : match[6];
+        attributes.push({ name: match[2].toLowerCase(), value: raw === undefined ? null : decodeAttribute(raw), raw: match[0] });
+    }
+    return { attributes, rest: attributeText.substring(end) };
+}
+
+function buildTag(tagName, tag) {
+    return `<${tagName}${tag.attributes.map(attribute => attribute.raw).join('')}${tag.rest}>`;
+}
+
+function getAttribute(tag, name) {
+    const attribute = tag.attributes.find(attribute => attribute.name === name);
+    return attribute ? attribute.value : null;
+}
+
+function setAttribute(tag, name, value) {
+    let attribute = tag.attributes.find(attribute => attribute.name === name);
+    if (!attribute) {
+        attribute = { name };
+        tag.attributes.push(attribute);
+    }
+    attribute.value = value;
+    attribute.raw = ` ${name}="${escapeAttribute(value)}"`;
+}
+
+function removeAttribute(tag, name) {
+    tag.attributes = tag.attributes.filter(attribute => attribute.name !== name);
+}
+
+// Candidates of a srcset: "a.jpg 1x, b.jpg 2x" -> [{ url, descriptor }]. URLs may contain commas
+// (data: URIs, image CDN parameters), so a candidate URL runs to the next whitespace.
+function parseSrcset(value) {
+    const candidates = [];
+    const pattern = /[\s,]*([^\s,][^\s]*)([^,]*)/g;
+    let match;
+    while ((match = pattern.exec(value)) !== null && match[0]) {
+        let url = match[1];
+        let descriptor = match[2].trim();
+        if (/,$/.test(url)) {
+            // "a.jpg, b.jpg 2x": a URL ending in a comma has no descriptor
+            url = url.replace(/,+$/, '');
+            pattern.lastIndex -= match[2].length;
+            descriptor = '';
+        }
+        candidates.push({ url, descriptor });
+    }
+    return candidates;
+}
+
+function buildSrcset(candidates) {
+    return candidates.map(candidate => candidate.descriptor ? `${candidate.url} ${candidate.descriptor}` : candidate.url).join(', ');
+}
+
+// Resource type of a <link>, or null for links that name a page or an origin
+function linkType(tag) {
+    const rel = (getAttribute(tag, 'rel') || '').toLowerCase();
+    if (/\bstylesheet\b/.test(rel) && !/\balternate\b/.test(rel)) {
+        return 'css';
+    }
+    if (NON_RESOURCE_RELS.test(rel)) {
+        return null;
+    }
+    if (/\bmodulepreload\b/.test(rel)) {
+        return 'js';
+    }
+    if (/\b(preload|prefetch)\b/.test(rel)) {
+        return PRELOAD_TYPES[(getAttribute(tag, 'as') || '').toLowerCase()] || 'other';
+    }
+    return /icon/.test(rel) ? 'image' : 'other';
+}
+
+// Resource references of a start tag: [{ attribute, type, format: 'url' | 'srcset' | 'css' }]
+function tagReferences(name, tag) {
+    const references = [];
+    const add = (attribute, type) => {
+        const value = getAttribute(tag, attribute);
+        if (value && value.trim()) {
+            const format = SRCSET_ATTRIBUTES.includes(attribute) ? 'srcset' : (attribute === 'style' || /^\s*url\(/i.test(value) ? 'css' : 'url');
+            references.push({ attribute, type, format });
+        }
+    };
+
+    for (const [attribute, type] of Object.entries(RESOURCE_ATTRIBUTES[name] || {})) {
+        add(attribute, type);
+    }
+    if (name === 'link') {
+        const type = linkType(tag);
+        if (type) {
+            add('href', type);
+            add('imagesrcset', 'image');
+        }
+    }
+    if (name === 'meta' && IMAGE_META.test(getAttribute(tag, 'property') || getAttribute(tag, 'name') || '')) {
+        add('content', 'image');
+    }
+    for (const attribute of LAZY_BACKGROUND_ATTRIBUTES) {
+        add(attribute, 'image');
+    }
+    const style = getAttribute(tag, 'style');
+    if (style && /url\(/i.test(style)) {
+        add('style', 'image');
+    }
+    return references;
+}
+
+class HtmlRewriter {
+    constructor({ pageUrl, pageFile, linkFile = () => null, resourceFile = () => null, keepApiScripts = false }) {
+        this.pageUrl = pageUrl;
+        this.pageHost = new URL(pageUrl).hostname;
+        this.pageDocument = pageUrl.split('#')[0];
+        this.pageFile = pageFile;
+        this.linkFile = linkFile;
+        this.resourceFile = resourceFile;
+        this.keepApiScripts = keepApiScripts;
+        this.stats = { links: 0, resources: 0, removedScripts: 0 };
+    }
+
+    resolve(value) {
+        try {
+            return new URL(value.trim(), this.pageUrl);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // "#icon-x" and "page.html#icon-x" on the page itself point into this document (inline SVG
+    // sprites, filters), not at something to download
+    isSameDocument(value, urlObj) {
+        return value.trim().startsWith('#') || urlObj.href.split('#')[0] === this.pageDocument;
+    }
+
+    // Local path for a resource reference, or null to keep it
+    localResource(value) {
+        const urlObj = this.resolve(value);
+        if (!urlObj || !/^https?:$/.test(urlObj.protocol) || this.isSameDocument(value, urlObj)) {
+            return null;
+        }
+        const hash = urlObj.hash;
+        const file = this.resourceFile(urlObj.href) || (hash && this.resourceFile(urlObj.href.slice(0, -hash.length)));
+        if (!file) {
+            return null;
+        }
+        this.stats.resources++;
+        return relativeHref(this.pageFile, file) + hash;
+    }
+
+    // Local path for a link to a page (or a downloaded document), or null to keep it
+    localLink(value) {
+        const urlObj = this.resolve(value);
+        if (!urlObj || value.startsWith('#') || !/^https?:$/.test(urlObj.protocol)) {
+            return null;
+        }
+        const hash = urlObj.hash;
+        urlObj.hash = '';
+        const file = this.resourceFile(urlObj.href) || this.linkFile(urlObj.href);
+        if (!file) {
+            return null;
+        }
+        this.stats.links++;
+        return relativeHref(this.pageFile, file) + hash;
+    }
+
+    rewriteSrcset(value) {
+        let changed = false;
+        const candidates = parseSrcset(value).map(candidate => {
+            const local = candidate.url.startsWith('data:') ? null : this.localResource(candidate.url);
+            changed = changed || local !== null;
+            return { url: local || candidate.url, descriptor: candidate.descriptor };
+        });
+        return changed ? buildSrcset(candidates) : null;
+    }
+
+    async rewriteStyle(css) {
+        let changed = false;
+        const rewritten = await replaceCssUrls(css, (url) => {
+            const local = this.localResource(url);
+            changed = changed || local !== null;
+            return local;
+        });
+        return changed ? rewritten : null;
+    }
+
+    // Scripts that cannot work offline: third-party scripts that were not downloaded, trackers,
+    // and inline scripts that report the missing backend
+    shouldRemoveScript(src, body) {
+        if (src) {
+            const urlObj = this.resolve(src);
+            if (!urlObj || (urlObj.hostname !== this.pageHost && !this.resourceFile(urlObj.href))) {
+                return true;
+            }
+            return TRACKING_PATTERN.test(src);
+        }
+        if (!body) {
+            return false;
+        }
+        if (OFFLINE_ERROR_PATTERNS.some(pattern => body.includes(pattern))) {
+            return true;
+        }
+        // Small API timeout scripts, unless their calls are replayed
+        return !this.keepApiScripts && body.includes('timeout') && (
+            body.includes('fetch(') || body.includes('XMLHttpRequest') || body.includes('axios') ||
+            (body.includes('api') && body.length < 5000));
+    }
+
+    // URLs of a reference value, resolved against the page
+    referenceUrls(value, format) {
+        const values = format === 'srcset' ? parseSrcset(value).map(candidate => candidate.url)
+            : format === 'css' ? findCssReferences(value) : [value];
+        return values
+            .filter(url => !url.startsWith('data:'))
+            .map(url => ({ url, urlObj: this.resolve(url) }))
+            .filter(({ url, urlObj }) => urlObj && /^https?:$/.test(urlObj.protocol) && !this.isSameDocument(url, urlObj))
+            .map(({ urlObj }) => urlObj)
+            .map(urlObj => urlObj.href.split('#')[0]); // "sprite.svg#icon" is one download
+    }
+
+    // Resources a start tag loads: [{ url, type, element, attribute }]
+    tagResources(tagName, attributeText) {
+        const name = tagName.toLowerCase();
+        const tag = parseTag(attributeText);
+        const resources = [];
+        for (const reference of tagReferences(name, tag)) {
+            for (const url of this.referenceUrls(getAttribute(tag, reference.attribute), reference.format)) {
+                resources.push({ url, type: reference.type, element: name, attribute: reference.attribute });
+            }
+        }
+        // Links to documents (PDFs, archives, media files) are downloaded instead of crawled
+        const href = (name === 'a' || name === 'area') && getAttribute(tag, 'href');
+        const urlObj = href && !href.startsWith('#') ? this.resolve(href) : null;
+        if (urlObj && /^https?:$/.test(urlObj.protocol) && DOCUMENT_EXTENSIONS.includes(urlObj.pathname.split('.').pop().toLowerCase())) {
+            urlObj.hash = '';
+            resources.push({ url: urlObj.href, type: 'document', element: name, attribute: 'href' });
+        }
+        return resources;
+    }
+
+    // Resources a <style> block loads: imported stylesheets, images and fonts
+    styleResources(css) {
+        const types = { import: 'css', 'image-set': 'image', url: 'other' };
+        return parseCssReferences(css).flatMap(reference => this.referenceUrls(reference.url, 'url')
+            .map(url => ({ url, type: types[reference.kind], element: 'style', attribute: reference.kind })));
+    }
+
+    // Every resource the page references, in document order; comments are skipped
+    findResources(html) {
+        const resources = [];
+        const pattern = new RegExp(MARKUP_PATTERN.source, 'gi');
+        let match;
+        while ((match = pattern.exec(html)) !== null) {
+            if (match[1] || match[4]) {
+                resources.push(...this.tagResources(match[1] || match[4], match[1] ? match[2] : match[5]));
+            }
+            if (match[1] && match[1].toLowerCase() === 'style') {
+                resources.push(...this.styleResources(match[3]));
+            }
+        }
+        return resources;
+    }
+
+    async rewriteTag(tagName, attributeText) {
+        const name = tagName.toLowerCase();
+        const tag = parseTag(attributeText);
+
+        if (name === 'base') {
+            // An absolute base breaks every relative path in the saved copy
+            const href = getAttribute(tag, 'href');
+            return href && (href.startsWith('/') || href.includes('://')) ? '' : null;
+        }
+
+        let changed = false;
+        const linkAttributes = name === 'a' || name === 'area' ? ['href'] : FRAME_ATTRIBUTES[name] || [];
+        for (const attribute of linkAttributes) {
+            const value = getAttribute(tag, attribute);
+            const local = value && this.localLink(value);
+            if (local) {
+                setAttribute(tag, attribute, local);
+                changed = true;
+            }
+        }
+
+        for (const reference of tagReferences(name, tag)) {
+            const value = getAttribute(tag, reference.attribute);
+            let local;
+            if (reference.format === 'srcset') {
+                local = this.rewriteSrcset(value);
+            } else if (reference.format === 'css') {
+                local = await this.rewriteStyle(value);
+            } else {
+                local = value.startsWith('data:') ? null : this.localResource(value);
+            }
+            if (local) {
+                setAttribute(tag, reference.attribute, local);
+                changed = true;
+            }
+        }
+
+        // Promote lazy-loading attributes, so the image shows without the site's lazy loader
+        const promoted = new Set();
+        for (const [lazy, real] of Object.entries(LAZY_ATTRIBUTES)) {
+            const value = getAttribute(tag, lazy);
+            const applies = lazy in (RESOURCE_ATTRIBUTES[name] || {}) || (FRAME_ATTRIBUTES[name] || []).includes(lazy);
+            if (applies && value && value.trim() && !promoted.has(real)) {
+                promoted.add(real);
+                if (getAttribute(tag, real) !== value) {
+                    setAttribute(tag, real, value);
+                    changed = true;
+                }
+            }
+        }
+        // A lazy background only becomes a style when the site's script has not set one already
+        const background = LAZY_BACKGROUND_ATTRIBUTES.map(attribute => getAttribute(tag, attribute)).find(value => value && value.trim());
+        if (background && !/background(-image)?\s*:/i.test(getAttribute(tag, 'style') || '')) {
+            const image = /^\s*url\(/i.test(background) ? background.trim() : `url('${background.trim()}')`;
+            const style = (getAttribute(tag, 'style') || '').trim();
+            setAttribute(tag, 'style', `${style}${style && !style.endsWith(';') ? ';' : ''}${style ? ' ' : ''}background-image: ${image};`);
+            changed = true;
+        }
+
+        // Subresource integrity and CORS mode no longer apply to local copies (and CSS is rewritten)
+        if (name === 'link' || name === 'script') {
+            const value = getAttribute(tag, 'href') || getAttribute(tag, 'src') || '';
+            if (value && !/^(https?:)?\/\//.test(value) && (getAttribute(tag, 'integrity') !== null || getAttribute(tag, 'crossorigin') !== null)) {
+                removeAttribute(tag, 'integrity');
+                removeAttribute(tag, 'crossorigin');
+                changed = true;
+            }
+        }
+
+        return changed ? buildTag(tagName, tag) : null;
+    }
+
+    async rewrite(html) {
+        const parts = [];
+        const pattern = new RegExp(MARKUP_PATTERN.source, 'gi');
+        let lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(html)) !== null) {
+            let replacement = null;
+            if (match[1] && match[1].toLowerCase() === 'script') {
+                const tag = parseTag(match[2]);
+                if (this.shouldRemoveScript(getAttribute(tag, 'src'), match[3])) {
+                    this.stats.removedScripts++;
+                    replacement = '';
+                } else {
+                    const open = await this.rewriteTag(match[1], match[2]);
+                    replacement = open === null ? null : open + match[0].substring(match[1].length + match[2].length + 2);
+                }
+            } else if (match[1]) {
+                // <style> block: its tag and the references in the stylesheet
+                const openLength = match[1].length + match[2].length + 2;
+                const open = await this.rewriteTag(match[1], match[2]);
+                const css = await this.rewriteStyle(match[3]);
+                if (open !== null || css !== null) {
+                    replacement = (open === null ? match[0].substring(0, openLength) : open) +
+                        (css === null ? match[3] : css) + match[0].substring(openLength + match[3].length);
+                }
+            } else if (match[4]) {
+                replacement = await this.rewriteTag(match[4], match[5]);
+            }
+            parts.push(html.substring(lastIndex, match.index), replacement === null ? match[0] : replacement);
+            lastIndex = pattern.lastIndex;
+        }
+        parts.push(html.substring(lastIndex));
+        return parts.join('');
+    }
+}
+
+// Resources a serialized page references: [{ url, type, element, attribute }]
+function findResources(html, pageUrl) {
+    return new HtmlRewriter({ pageUrl, pageFile: '' }).findResources(html);
+}
+
+// Rewrite a page; resolves with { html, stats: { links, resources, removedScripts } }
+async function rewriteHtml(html, options) {
+    const rewriter = new HtmlRewriter(options);
+    const rewritten = await rewriter.rewrite(html);
+    return { html: rewritten, stats: rewriter.stats };
+}
+
+// Point links at live URLs again: `hrefs` maps a local href written by rewriteHtml ("../about.html")
+// to the URL to link instead. Used for pages that were queued but never saved. Returns
+// { html, restored }.
+function restoreLinks(html, hrefs) {
+    let restored = 0;
+    const result = html.replace(new RegExp(MARKUP_PATTERN.source, 'gi'), (markup, rawText, rawAttributes, body, tagName, attributeText) => {
+        const name = (tagName || '').toLowerCase();
+        const linkAttributes = name === 'a' || name === 'area' ? ['href'] : FRAME_ATTRIBUTES[name] || [];
+        if (linkAttributes.length === 0) {
+            return markup;
+        }
+        const tag = parseTag(attributeText);
+        let changed = false;
+        for (const attribute of linkAttributes) {
+            const value = getAttribute(tag, attribute);
+            const hashIndex = value ? value.indexOf('#') : -1;
+            const liveUrl = value && hrefs.get(hashIndex === -1 ? value : value.substring(0, hashIndex));
+            if (liveUrl) {
+                setAttribute(tag, attribute, liveUrl + (hashIndex === -1 ? '' : value.substring(hashIndex)));
+                changed = true;
+            }
+        }
+        if (!changed) {
+            return markup;
+        }
+        restored++;
+        return buildTag(tagName, tag);
+    });
+    return { html: result, restored };
+}
+
+module.exports = {
+    NON_RESOURCE_RELS,
+    findResources,
+    rewriteHtml,
+    restoreLinks,
+    parseSrcset,
+    decodeAttribute,
+    escapeHtml
+};
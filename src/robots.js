@@ -0,0 +1,155 @@
+const zlib = require('zlib');
+
+// Parse a robots.txt file into user-agent groups and the sitemap URLs it lists
+function parseRobotsTxt(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            continue;
+        }
+
+        const field = line.substring(0, separator).trim().toLowerCase();
+        const value = line.substring(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+
+        if (field === 'sitemap') {
+            if (value) {
+                sitemaps.push(value);
+            }
+        } else if (!current) {
+            // Rules before any User-agent line are ignored
+            continue;
+        } else if (field === 'allow' || field === 'disallow') {
+            // An empty Disallow allows everything and adds no rule
+            if (value) {
+                current.rules.push({ allow: field === 'allow', path: value });
+            }
+        } else if (field === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (!Number.isNaN(delay) && delay >= 0) {
+                current.crawlDelay = delay;
+            }
+        }
+    }
+
+    return { groups, sitemaps };
+}
+
+// Pick the rules that apply to a user agent: the group with the longest matching
+// product token wins, falling back to the `*` group
+function getRobotsRules(parsed, userAgent) {
+    const agent = (userAgent || '*').toLowerCase();
+    let best = null;
+    let bestLength = -1;
+    let fallback = null;
+
+    for (const group of parsed.groups) {
+        for (const token of group.agents) {
+            if (token === '*') {
+                fallback = fallback || group;
+            } else if (agent.includes(token) && token.length > bestLength) {
+                best = group;
+                bestLength = token.length;
+            }
+        }
+    }
+
+    const group = best || fallback;
+    return {
+        rules: group ? group.rules : [],
+        crawlDelay: group ? group.crawlDelay : null
+    };
+}
+
+function robotsPatternToRegex(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+// Longest matching rule decides; Allow wins a tie. No matching rule means allowed.
+function isPathAllowed(rules, pathWithQuery) {
+    let decision = true;
+    let matchLength = -1;
+
+    for (const rule of rules) {
+        if (!robotsPatternToRegex(rule.path).test(pathWithQuery)) {
+            continue;
+        }
+        if (rule.path.length > matchLength || (rule.path.length === matchLength && rule.allow)) {
+            decision = rule.allow;
+            matchLength = rule.path.length;
+        }
+    }
+
+    return decision;
+}
+
+function decodeXmlText(text) {
+    return text
+        .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+// Parse a sitemap or sitemap index. Accepts a Buffer so gzipped sitemaps can be passed as-is.
+function parseSitemapXml(content) {
+    let buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        buffer = zlib.gunzipSync(buffer);
+    }
+    const xml = buffer.toString('utf8');
+
+    const collect = (tag) => {
+        const locations = [];
+        const blockPattern = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'gi');
+        let block;
+        while ((block = blockPattern.exec(xml)) !== null) {
+            const loc = block[1].match(/<(?:\w+:)?loc\b[^>]*>([\s\S]*?)<\/(?:\w+:)?loc>/i);
+            if (loc) {
+                const url = decodeXmlText(loc[1].trim());
+                if (url) {
+                    locations.push(url);
+                }
+            }
+        }
+        return locations;
+    };
+
+    return {
+        urls: collect('url'),
+        sitemaps: collect('sitemap')
+    };
+}
+
+module.exports = {
+    parseRobotsTxt,
+    getRobotsRules,
+    isPathAllowed,
+    parseSitemapXml
+};
@@ -0,0 +1,86 @@
+// Turn an include/exclude rule into a RegExp. Accepts RegExp objects, "/regex/flags" strings
+// and globs where `**` matches anything and `*` matches anything except `/`.
+function compilePattern(pattern) {
+    if (pattern instanceof RegExp) {
+        return pattern;
+    }
+
+    const regexLiteral = /^\/(.+)\/([gimsuy]*)$/.exec(pattern);
+    if (regexLiteral) {
+        return new RegExp(regexLiteral[1], regexLiteral[2].replace('g', ''));
+    }
+
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            source += '.*';
+            i++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else {
+            source += char.replace(/[.+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    return new RegExp('^' + source + '$');
+}
+
+function compilePatterns(patterns) {
+    return (patterns || []).map(compilePattern);
+}
+
+// Rules are matched against the URL path plus its query string, e.g. "/blog/post?page=2"
+function matchesAny(regexes, urlObj) {
+    const value = urlObj.pathname + urlObj.search;
+    return regexes.some(regex => regex.test(value));
+}
+
+// Directory of the start URL: "/docs/intro" -> "/docs/", "/docs/" -> "/docs/"
+function getStartDirectory(startUrl) {
+    const pathname = new URL(startUrl).pathname;
+    return pathname.substring(0, pathname.lastIndexOf('/') + 1);
+}
+
+// True when two hostnames are the same site with and without the "www." prefix
+function isWwwTwin(hostname, otherHostname) {
+    return hostname !== otherHostname &&
+        hostname.replace(/^www\./, '') === otherHostname.replace(/^www\./, '');
+}
+
+// Host rules are exact hostnames or "*.example.com", which matches example.com and its subdomains
+function matchesHost(patterns, hostname) {
+    return (patterns || []).some(pattern => {
+        if (pattern.startsWith('*.')) {
+            const domain = pattern.substring(2);
+            return hostname === domain || hostname.endsWith('.' + domain);
+        }
+        return hostname === pattern;
+    });
+}
+
+// URLs that end the session or change data when visited with a GET: logout links, delete/remove
+// actions and the like. Matched against path + query like the exclude rules.
+const DEFAULT_DENY_PATTERNS = [
+    /(^|\/)(log-?out|log_out|sign-?out|sign_out|log-?off|end-?session)(\/|\.|\?|$)/i,
+    /[?&](action|do|op|cmd|task|mode)=(log-?out|sign-?out|delete|remove|destroy|trash|unsubscribe|deactivate|revoke|cancel)\b/i,
+    /[?&]_method=(delete|put|patch|post)\b/i,
+    /[?&](delete|remove|destroy|logout)(=|&|$)/i,
+    /\/(delete|remove|destroy|trash|unsubscribe|deactivate|revoke)(\/|\?|$)/i
+];
+
+// Pages that mean the session is gone when a crawled URL redirects to them
+const DEFAULT_LOGIN_PATTERNS = [
+    /(^|\/)(log-?in|log_in|sign-?in|sign_in|auth|sso|session\/new|wp-login\.php)(\/|\.|\?|$)/i,
+    /[?&](action|do)=(log-?in|sign-?in)\b/i
+];
+
+module.exports = {
+    DEFAULT_DENY_PATTERNS,
+    DEFAULT_LOGIN_PATTERNS,
+    compilePattern,
+    compilePatterns,
+    matchesAny,
+    getStartDirectory,
+    isWwwTwin,
+    matchesHost
+};
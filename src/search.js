@@ -0,0 +1,209 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { decodeAttribute, escapeHtml } = require('./rewrite');
+
+// Offline full-text search: an index of every saved page's visible text, written as a script so
+// search.html can load it from file:// without a server (browsers block fetch() there).
+
+const SEARCH_PAGE = 'search.html';
+const SEARCH_INDEX_FILE = 'search-index.js';
+const EXCERPT_LENGTH = 300; // Characters of each page's text kept for result snippets; the terms index covers the rest
+
+// Visible text of a saved page: the body without scripts, styles, comments or the saved-states bar
+function htmlToText(html) {
+    const body = /<body\b[^>]*>([\s\S]*)<\/body>/i.exec(html);
+    return decodeAttribute((body ? body[1] : html)
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+        .replace(/<nav class="offline-states"[\s\S]*?<\/nav>/i, ' ')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Lowercase words without accents, so "Café" matches "cafe". search.html tokenizes queries the same way.
+function tokenize(text) {
+    return (text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(token => token.length > 1);
+}
+
+// pages: [{ url, fileName, title, text }] -> { docs: [{ url, file, title, text }], terms: { term: [doc, count, doc, count, ...] } }.
+// Only the start of each page's text is stored, so search-index.js stays small enough to load at once.
+function buildSearchIndex(pages) {
+    const docs = [];
+    const terms = new Map();
+    for (const page of pages) {
+        const doc = docs.length;
+        docs.push({ url: page.url, file: page.fileName, title: page.title, text: page.text.substring(0, EXCERPT_LENGTH) });
+
+        const counts = new Map();
+        for (const token of tokenize(`${page.title} ${page.text}`)) {
+            counts.set(token, (counts.get(token) || 0) + 1);
+        }
+        for (const [term, count] of counts) {
+            if (!terms.has(term)) {
+                terms.set(term, []);
+            }
+            terms.get(term).push(doc, count);
+        }
+    }
+    return { docs, terms: Object.fromEntries(terms) };
+}
+
+// Read the saved pages listed in the sitemap data and write search-index.js and search.html.
+// Returns the number of pages indexed.
+async function writeSearchIndex(outputDir, sitemapData) {
+    const pages = [];
+    for (const page of sitemapData.pages) {
+        let html;
+        try {
+            html = await fs.readFile(path.join(outputDir, page.fileName), 'utf8');
+        } catch (error) {
+            continue;
+        }
+        pages.push({ url: page.url, fileName: page.fileName, title: page.title || page.url, text: htmlToText(html) });
+    }
+
+    const index = buildSearchIndex(pages);
+    await fs.writeFile(path.join(outputDir, SEARCH_INDEX_FILE), `window.SEARCH_INDEX = ${JSON.stringify(index)};\n`, 'utf8');
+    await fs.writeFile(path.join(outputDir, SEARCH_PAGE), generateSearchPage(sitemapData), 'utf8');
+    return pages.length;
+}
+
+// Every query word must match the start of a word on the page. Results are ranked by how often the
+// words occur, weighted by how rare they are, with a bonus for matches in the title.
+function generateSearchPage(data) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Search - ${escapeHtml(data.domain)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px auto; max-width: 860px; line-height: 1.5; padding: 0 20px; }
+        form { display: flex; gap: 8px; margin: 20px 0; }
+        input[type=search] { flex: 1; font-size: 1.1em; padding: 8px; }
+        button { font-size: 1em; padding: 8px 16px; }
+        .result { margin-bottom: 20px; }
+        .result a { font-size: 1.1em; color: #0066cc; }
+        .url { color: #287a28; font-size: 0.9em; word-break: break-all; }
+        .snippet { color: #333; }
+        .summary { color: #666; }
+        mark { background: #fff3a0; }
+    </style>
+</head>
+<body>
+    <h1>Search ${escapeHtml(data.domain)}</h1>
+    <p class="summary">Offline copy of <a href="${escapeHtml(data.baseUrl)}">${escapeHtml(data.baseUrl)}</a> &middot; <a href="sitemap.html">All pages</a></p>
+    <form id="search-form">
+        <input type="search" id="query" name="q" placeholder="Search ${data.totalPages} pages..." autofocus>
+        <button type="submit">Search</button>
+    </form>
+    <p class="summary" id="summary"></p>
+    <div id="results"></div>
+
+    <script src="${SEARCH_INDEX_FILE}"></script>
+    <script>
+        (function () {
+            var index = window.SEARCH_INDEX || { docs: [], terms: {} };
+            var termList = Object.keys(index.terms);
+
+            function tokenize(text) {
+                return (text.toLowerCase().normalize('NFD').replace(/[\\u0300-\\u036f]/g, '').match(/[\\p{L}\\p{N}]+/gu) || [])
+                    .filter(function (token) { return token.length > 1; });
+            }
+
+            function escapeHtml(text) {
+                return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+            }
+
+            function search(query) {
+                var words = tokenize(query);
+                if (words.length === 0) {
+                    return { words: words, results: [] };
+                }
+                var scores = null;
+                words.forEach(function (word) {
+                    var wordScores = {};
+                    termList.forEach(function (term) {
+                        if (term.indexOf(word) !== 0) {
+                            return;
+                        }
+                        var postings = index.terms[term];
+                        var idf = Math.log(1 + index.docs.length / (postings.length / 2));
+                        for (var i = 0; i < postings.length; i += 2) {
+                            wordScores[postings[i]] = (wordScores[postings[i]] || 0) + postings[i + 1] * idf;
+                        }
+                    });
+                    var next = {};
+                    Object.keys(wordScores).forEach(function (doc) {
+                        if (scores === null || doc in scores) {
+                            var titleBonus = tokenize(index.docs[doc].title).some(function (token) { return token.indexOf(word) === 0; }) ? 10 : 0;
+                            next[doc] = (scores === null ? 0 : scores[doc]) + wordScores[doc] + titleBonus;
+                        }
+                    });
+                    scores = next;
+                });
+                var results = Object.keys(scores).map(function (doc) {
+                    return { doc: index.docs[doc], score: scores[doc] };
+                }).sort(function (a, b) { return b.score - a.score; });
+                return { words: words, results: results };
+            }
+
+            // The page's excerpt (around the first match when it has one), with the query words highlighted.
+            // The text is split on the words before escaping, so "amp" never matches inside "&amp;".
+            function snippet(text, words) {
+                var lower = text.toLowerCase();
+                var at = -1;
+                words.forEach(function (word) {
+                    var found = lower.indexOf(word);
+                    if (found !== -1 && (at === -1 || found < at)) {
+                        at = found;
+                    }
+                });
+                var start = Math.max(0, at - 80);
+                var excerpt = (start > 0 ? '... ' : '') + text.substring(start, start + 240) + (text.length > start + 240 ? ' ...' : '');
+                var pattern = new RegExp('(' + words.map(function (word) {
+                    return word.replace(/[.*+?^$\\{\\}()|[\\]\\\\]/g, '\\\\$&');
+                }).join('|') + ')', 'gi');
+                return excerpt.split(pattern).map(function (part, i) {
+                    return i % 2 === 1 ? '<mark>' + escapeHtml(part) + '</mark>' : escapeHtml(part);
+                }).join('');
+            }
+
+            function show(query) {
+                var found = search(query);
+                document.getElementById('summary').textContent = query.trim()
+                    ? found.results.length + ' page' + (found.results.length === 1 ? '' : 's') + ' found'
+                    : '';
+                document.getElementById('results').innerHTML = found.results.slice(0, 100).map(function (result) {
+                    return '<div class="result"><a href="' + encodeURI(result.doc.file) + '">' + escapeHtml(result.doc.title) + '</a>' +
+                        '<div class="url">' + escapeHtml(result.doc.url) + '</div>' +
+                        '<div class="snippet">' + snippet(result.doc.text, found.words) + '</div></div>';
+                }).join('');
+            }
+
+            var input = document.getElementById('query');
+            var initial = new URLSearchParams(location.search).get('q') || '';
+            input.value = initial;
+            show(initial);
+            input.addEventListener('input', function () { show(input.value); });
+            document.getElementById('search-form').addEventListener('submit', function (event) {
+                event.preventDefault();
+                history.replaceState(null, '', '?q=' + encodeURIComponent(input.value));
+                show(input.value);
+            });
+        })();
+    </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+    SEARCH_PAGE,
+    SEARCH_INDEX_FILE,
+    htmlToText,
+    tokenize,
+    buildSearchIndex,
+    writeSearchIndex
+};
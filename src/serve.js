@@ -0,0 +1,231 @@
+const http = require('http');
+const fs = require('fs-extra');
+const path = require('path');
+const { mimeTypeFor } = require('./mime');
+const { URL_MAP_FILE } = require('./url-map');
+
+// Local HTTP preview of a scraped copy. Original URLs (/about, /en/about/?page=2) are looked up in
+// url-map.json, so both they and the rewritten links (/about.html) work. Copies without the table
+// fall back to the naming rules urlToFilePath used before it existed.
+
+const MISSING_REPORT_FILE = 'missing-assets.json';
+
+// Same filename rules as urlToFilePath
+function sanitizeName(name) {
+    return name.replace(/[<>:"|?*]/g, '_');
+}
+
+function sanitizeQuery(search) {
+    return search.substring(1).replace(/[<>:"|?*&=]/g, '_');
+}
+
+class PreviewServer {
+    constructor(rootDir, { basePath = '', urlFiles = new Map(), log = console.log } = {}) {
+        this.rootDir = path.resolve(rootDir);
+        // Path of the crawl's start URL, which urlToFilePath strips from page names ("en/")
+        this.basePath = basePath.replace(/^\/+/, '');
+        this.urlFiles = urlFiles; // path + query of a start host URL -> saved file
+        this.log = log;
+        this.server = null;
+        this.missing = new Map(); // request path -> { count, referers }
+    }
+
+    // Read the start URL from sitemap.json so its base path can be stripped like the crawler did
+    static async fromOutputDir(rootDir, options = {}) {
+        let basePath = '';
+        let startUrl = null;
+        try {
+            const sitemap = await fs.readJson(path.join(rootDir, 'sitemap.json'));
+            startUrl = sitemap.baseUrl;
+            basePath = new URL(sitemap.baseUrl).pathname;
+        } catch (error) {
+            // No sitemap (crawl still running or interrupted): serve files as they are
+        }
+        const urlFiles = new Map();
+        try {
+            const urlMap = await fs.readJson(path.join(rootDir, URL_MAP_FILE));
+            const host = new URL(urlMap.baseUrl).hostname;
+            for (const [url, file] of Object.entries(urlMap.files || {})) {
+                const urlObj = new URL(url);
+                if (urlObj.hostname === host && !urlObj.hash) {
+                    urlFiles.set(urlObj.pathname + urlObj.search, file);
+                }
+            }
+        } catch (error) {
+            // Copies made before url-map.json: names are matched by the rules below
+        }
+        const server = new PreviewServer(rootDir, { basePath, urlFiles, ...options });
+        server.startUrl = startUrl;
+        return server;
+    }
+
+    // Absolute path inside the root, or null for paths that escape it
+    inRoot(relativePath) {
+        const filePath = path.resolve(this.rootDir, relativePath);
+        return filePath === this.rootDir || filePath.startsWith(this.rootDir + path.sep) ? filePath : null;
+    }
+
+    async isFile(filePath) {
+        try {
+            return filePath !== null && (await fs.stat(filePath)).isFile();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async isDirectory(filePath) {
+        try {
+            return filePath !== null && (await fs.stat(filePath)).isDirectory();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Map a request to { file } or { redirect }, or null if nothing matches
+    async resolve(pathname, search) {
+        const mapped = this.urlFiles.get(pathname + search);
+        if (mapped && await this.isFile(this.inRoot(mapped))) {
+            return { file: this.inRoot(mapped) };
+        }
+
+        // Saved names keep the URL's percent-encoding, so try the raw path before the decoded one
+        const variants = [pathname.replace(/^\/+/, '')];
+        try {
+            const decoded = decodeURIComponent(variants[0]);
+            if (decoded !== variants[0]) {
+                variants.push(decoded);
+            }
+        } catch (error) {
+            // Malformed escapes: only the raw path is tried
+        }
+        for (const variant of [...variants]) {
+            if (this.basePath && variant.startsWith(this.basePath)) {
+                variants.push(variant.substring(this.basePath.length).replace(/^\/+/, ''));
+            }
+        }
+
+        for (const variant of variants) {
+            // Files requested by their saved name (rewritten links, assets); a query string only
+            // matters for pages, whose file names include it
+            if (variant && !variant.endsWith('/') && await this.isFile(this.inRoot(variant))) {
+                return { file: this.inRoot(variant) };
+            }
+
+            // Page names: "" and "dir/" are saved as index, ".html" is appended, the query becomes "_a_1"
+            let name = variant;
+            if (!name || name.endsWith('/')) {
+                name += 'index';
+            }
+            name = sanitizeName(name) + (search ? '_' + sanitizeQuery(search) : '');
+            if (await this.isFile(this.inRoot(name + '.html'))) {
+                return { file: this.inRoot(name + '.html') };
+            }
+
+            // "/about" for a folder with an index page: redirect so relative links resolve inside it
+            if (variant && !variant.endsWith('/') && await this.isDirectory(this.inRoot(variant)) &&
+                await this.isFile(this.inRoot(path.join(variant, 'index.html')))) {
+                return { redirect: '/' + variant + '/' + search };
+            }
+        }
+        return null;
+    }
+
+    recordMissing(requestPath, referer) {
+        const entry = this.missing.get(requestPath) || { count: 0, referers: new Set() };
+        entry.count++;
+        if (referer) {
+            entry.referers.add(referer);
+        }
+        this.missing.set(requestPath, entry);
+        this.log(`404 ${requestPath}${referer ? ` (from ${referer})` : ''}`);
+    }
+
+    async handle(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { 'Allow': 'GET, HEAD' });
+            res.end();
+            return;
+        }
+
+        const requestUrl = new URL(req.url, 'http://localhost');
+        const match = await this.resolve(requestUrl.pathname, requestUrl.search);
+        if (!match) {
+            this.recordMissing(requestUrl.pathname + requestUrl.search, req.headers.referer);
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(`Not found in the offline copy: ${requestUrl.pathname}${requestUrl.search}\n`);
+            return;
+        }
+        if (match.redirect) {
+            res.writeHead(301, { 'Location': match.redirect });
+            res.end();
+            return;
+        }
+
+        const mimeType = mimeTypeFor(match.file);
+        const textual = /^text\/|javascript|json|xml|svg/.test(mimeType);
+        const stat = await fs.stat(match.file);
+        res.writeHead(200, {
+            'Content-Type': textual ? `${mimeType}; charset=utf-8` : mimeType,
+            'Content-Length': stat.size,
+            'Cache-Control': 'no-cache',
+            // Fonts and module scripts loaded from other local origins (e.g. assets on another port)
+            'Access-Control-Allow-Origin': '*'
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(match.file)
+            .on('error', () => res.destroy())
+            .pipe(res);
+    }
+
+    start(port = 8080, host = '127.0.0.1') {
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch((error) => {
+                console.error(`Error serving ${req.url}:`, error.message);
+                if (!res.headersSent) {
+                    res.writeHead(500);
+                }
+                res.end();
+            });
+        });
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => resolve(this.server.address()));
+        });
+    }
+
+    // Missing requests sorted by how often they were made
+    missingReport() {
+        return {
+            root: this.rootDir,
+            generatedAt: new Date().toISOString(),
+            missing: [...this.missing.entries()]
+                .map(([requestPath, entry]) => ({ path: requestPath, count: entry.count, referers: [...entry.referers] }))
+                .sort((a, b) => b.count - a.count || a.path.localeCompare(b.path))
+        };
+    }
+
+    // Stop listening and write the missing-asset report next to the served files
+    async stop() {
+        if (this.server) {
+            const closed = new Promise(resolve => this.server.close(() => resolve()));
+            // Browsers keep idle connections open, which would hold close() forever
+            this.server.closeAllConnections();
+            await closed;
+            this.server = null;
+        }
+        if (this.missing.size === 0) {
+            return null;
+        }
+        const reportPath = path.join(this.rootDir, MISSING_REPORT_FILE);
+        await fs.writeFile(reportPath, JSON.stringify(this.missingReport(), null, 2), 'utf8');
+        return reportPath;
+    }
+}
+
+module.exports = {
+    PreviewServer,
+    MISSING_REPORT_FILE
+};
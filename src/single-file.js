@@ -0,0 +1,135 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { replaceCssUrls } = require('./css');
+const { mimeTypeFor } = require('./mime');
+const { parseSrcset, decodeAttribute } = require('./rewrite');
+
+// Self-contained HTML: stylesheets become <style> blocks, every other local resource a data: URI
+
+// String.replace with an async replacer
+async function replaceAsync(text, pattern, replacer) {
+    const parts = [];
+    let lastIndex = 0;
+    let match;
+    const regex = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+    while ((match = regex.exec(text)) !== null) {
+        parts.push(text.substring(lastIndex, match.index), await replacer(...match));
+        lastIndex = regex.lastIndex;
+    }
+    parts.push(text.substring(lastIndex));
+    return parts.join('');
+}
+
+class SingleFileInliner {
+    // resolve(reference, fromFile) returns the absolute path of the local copy, or null to keep the reference
+    constructor({ resolve, maxBytes = 10 * 1024 * 1024 }) {
+        this.resolve = resolve;
+        this.maxBytes = maxBytes;
+    }
+
+    async localFile(reference, fromFile) {
+        const trimmed = reference.trim();
+        if (!trimmed || /^(data|javascript|mailto|tel|blob|about):/i.test(trimmed) || trimmed.startsWith('#')) {
+            return null;
+        }
+        const filePath = this.resolve(trimmed, fromFile);
+        if (!filePath || !await fs.pathExists(filePath)) {
+            return null;
+        }
+        const stat = await fs.stat(filePath);
+        return stat.isFile() && stat.size <= this.maxBytes ? filePath : null;
+    }
+
+    async toDataUri(reference, fromFile, stack = []) {
+        const filePath = await this.localFile(reference, fromFile);
+        if (!filePath) {
+            return null;
+        }
+        const mimeType = mimeTypeFor(filePath);
+        if (mimeType === 'text/css') {
+            // Stylesheets pulled in with @import need their own url()s inlined first
+            const css = await this.inlineCssFile(filePath, stack);
+            return `data:text/css;base64,${Buffer.from(css, 'utf8').toString('base64')}`;
+        }
+        return `data:${mimeType};base64,${(await fs.readFile(filePath)).toString('base64')}`;
+    }
+
+    async inlineCss(css, cssFile, stack = []) {
+        return replaceCssUrls(css, reference => this.toDataUri(reference, cssFile, stack));
+    }
+
+    async inlineCssFile(filePath, stack = []) {
+        if (stack.includes(filePath)) {
+            return '';
+        }
+        return this.inlineCss(await fs.readFile(filePath, 'utf8'), filePath, [...stack, filePath]);
+    }
+
+    async inlineSrcset(value, pageFile) {
+        const inlined = [];
+        for (const { url, descriptor } of parseSrcset(value)) {
+            const dataUri = await this.toDataUri(decodeAttribute(url), pageFile);
+            inlined.push(descriptor ? `${dataUri || url} ${descriptor}` : dataUri || url);
+        }
+        return inlined.join(', ');
+    }
+
+    async inlineHtml(html, pageFile) {
+        // <style> blocks
+        let result = await replaceAsync(html, /(<style\b[^>]*>)([\s\S]*?)(<\/style>)/i, async (match, open, css, close) => {
+            return open + await this.inlineCss(css, pageFile) + close;
+        });
+
+        // style="" attributes; a value runs to the closing quote of its own kind: style="font-family: 'A'; background: url(x.png)"
+        result = await replaceAsync(result, /(\sstyle\s*=\s*)(?:"([^"]*)"|'([^']*)')/i, async (match, prefix, doubleQuoted, singleQuoted) => {
+            const css = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+            if (!/url\(/i.test(css)) {
+                return match;
+            }
+            const quote = doubleQuoted !== undefined ? '"' : '\'';
+            const inlined = await this.inlineCss(decodeAttribute(css), pageFile);
+            return prefix + quote + inlined.replace(/&/g, '&amp;').replace(new RegExp(quote, 'g'), quote === '"' ? '&quot;' : '&#39;') + quote;
+        });
+
+        // Stylesheet links become <style> blocks
+        result = await replaceAsync(result, /<link\b[^>]*>/i, async (tag) => {
+            if (!/\brel\s*=\s*["']?[^"'>]*stylesheet/i.test(tag)) {
+                return tag;
+            }
+            const href = /\bhref\s*=\s*(["'])(.*?)\1/i.exec(tag);
+            const filePath = href ? await this.localFile(decodeAttribute(href[2]), pageFile) : null;
+            if (!filePath) {
+                return tag;
+            }
+            const media = /\bmedia\s*=\s*(["'])(.*?)\1/i.exec(tag);
+            const css = (await this.inlineCssFile(filePath)).replace(/<\/style/gi, '<\\/style');
+            return `<style${media ? ` media="${media[2]}"` : ''}>${css}</style>`;
+        });
+
+        // src, poster, data, srcset and resource links (icons, manifests) become data: URIs
+        result = await replaceAsync(result, /<(img|script|source|video|audio|track|input|embed|object|iframe|link|image|use)\b[^>]*>/i, async (tag, tagName) => {
+            let inlinedTag = await replaceAsync(tag, /(\s(?:src|poster|data|href|xlink:href)\s*=\s*)(["'])(.*?)\2/i, async (match, prefix, quote, value) => {
+                const name = tagName.toLowerCase();
+                if (name === 'iframe' || (/^\s+href/i.test(prefix) && !['link', 'image', 'use'].includes(name))) {
+                    return match;
+                }
+                // Only resource links are inlined, not canonical/alternate links to pages
+                if (name === 'link' && !/\brel\s*=\s*["']?[^"'>]*(icon|manifest|preload|prefetch)/i.test(tag)) {
+                    return match;
+                }
+                const dataUri = await this.toDataUri(decodeAttribute(value), pageFile);
+                return dataUri ? prefix + quote + dataUri + quote : match;
+            });
+            inlinedTag = await replaceAsync(inlinedTag, /(\ssrcset\s*=\s*)(["'])(.*?)\2/i, async (match, prefix, quote, value) => {
+                return prefix + quote + await this.inlineSrcset(value, pageFile) + quote;
+            });
+            return inlinedTag;
+        });
+
+        return result;
+    }
+}
+
+module.exports = {
+    SingleFileInliner
+};
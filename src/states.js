@@ -0,0 +1,123 @@
+const { escapeHtml } = require('./rewrite');
+
+// Client-side states of a page (tabs, filters, JS-only pagination) saved as pages of their own.
+// A state is crawled like any other page under a pseudo URL "<page url>#state:<name>-<n>": the tab
+// loads the page, replays the clicks that lead to state n and saves the result as
+// "<page file>~<name>-<n>.html". Rules:
+//   { match, name: 'tab', each: 'selector', max: 20 }   state n = click the n-th match
+//   { match, name: 'page', next: 'selector', max: 10 }  state n = click "next" n times
+// `wait` is the pause after each click (ms, default 1000).
+
+const STATE_HASH = /#state:(.+)-(\d+)$/;
+const DEFAULT_CLICK_WAIT = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function stateUrl(pageUrl, name, index) {
+    return `${pageUrl}#state:${name}-${index}`;
+}
+
+// "<url>#state:tab-2" -> { pageUrl, name: 'tab', index: 2 }, or null for ordinary URLs
+function parseStateUrl(url) {
+    const match = STATE_HASH.exec(url);
+    if (!match) {
+        return null;
+    }
+    return { pageUrl: url.substring(0, match.index), name: match[1], index: parseInt(match[2], 10) };
+}
+
+// File path of a state next to its page: "products/widget" -> "products/widget~tab-2"
+function stateFilePath(pageFilePath, name, index) {
+    return pageFilePath.replace(/\.html$/, '') + `~${name}-${index}`;
+}
+
+function normalizeStateRule(rule) {
+    if (!rule.each === !rule.next) {
+        throw new Error(`State rule ${JSON.stringify(rule)} needs either "each" or "next"`);
+    }
+    return {
+        name: String(rule.name || (rule.each ? 'tab' : 'page')).replace(/[^\w.-]+/g, '-'),
+        each: rule.each || null,
+        next: rule.next || null,
+        max: rule.max || (rule.each ? 20 : 10),
+        wait: rule.wait === undefined ? DEFAULT_CLICK_WAIT : rule.wait
+    };
+}
+
+// Click the n-th match of `selector` in the page; false when there is no such element
+function clickNth(page, selector, n) {
+    return page.evaluate((selector, n) => {
+        const element = document.querySelectorAll(selector)[n];
+        if (!element) {
+            return false;
+        }
+        element.click();
+        return true;
+    }, selector, n);
+}
+
+// Replay the clicks that lead from the loaded page to state `index`; false when an element is missing
+async function enterState(page, rule, index) {
+    const clicks = rule.each ? [[rule.each, index - 1]] : Array.from({ length: index }, () => [rule.next, 0]);
+    for (const [selector, n] of clicks) {
+        if (!await clickNth(page, selector, n)) {
+            return false;
+        }
+        await sleep(rule.wait);
+    }
+    return true;
+}
+
+// States reachable from the state shown now (0 = the page as loaded): every tab, or the next page.
+// Returns [{ index, label }].
+async function listStateTargets(page, rule, current) {
+    const labels = await page.evaluate((selector) => Array.from(document.querySelectorAll(selector), element =>
+        (element.textContent || element.getAttribute('aria-label') || element.title || '').replace(/\s+/g, ' ').trim().substring(0, 60)), rule.each || rule.next);
+    if (rule.each) {
+        return labels.slice(0, rule.max).map((label, i) => ({ index: i + 1, label: label || `${rule.name} ${i + 1}` }));
+    }
+    return labels.length > 0 && current < rule.max ? [{ index: current + 1, label: 'Next' }] : [];
+}
+
+// Point the elements that lead to other states at their saved files, so clicking them offline
+// opens the saved state (see STATE_CLICK_SCRIPT)
+function markStateTargets(page, rule, hrefs) {
+    return page.evaluate((selector, hrefs) => {
+        document.querySelectorAll(selector).forEach((element, i) => {
+            if (hrefs[i]) {
+                element.setAttribute('data-offline-state', hrefs[i]);
+            }
+        });
+    }, rule.each || rule.next, hrefs);
+}
+
+const STATE_CLICK_SCRIPT = '<script>document.addEventListener(\'click\', function (event) {' +
+    ' var target = event.target.closest && event.target.closest(\'[data-offline-state]\');' +
+    ' if (target) { event.preventDefault(); event.stopImmediatePropagation(); location.href = target.getAttribute(\'data-offline-state\'); }' +
+    ' }, true);</script>';
+
+// Add a bar linking the page and its saved states at the top of <body>. `links` are { href, label, current }.
+function injectStateNav(html, links) {
+    const items = links.map(link => link.current
+        ? `<strong aria-current="page">${escapeHtml(link.label)}</strong>`
+        : `<a href="${encodeURI(link.href)}">${escapeHtml(link.label)}</a>`);
+    const nav = '<nav class="offline-states" style="font: 13px sans-serif; padding: 6px 10px; background: #f4f4f4; border-bottom: 1px solid #ccc;">' +
+        'Saved states: ' + items.join(' | ') + '</nav>' + STATE_CLICK_SCRIPT;
+    const body = /<body\b[^>]*>/i.exec(html);
+    if (body) {
+        const index = body.index + body[0].length;
+        return html.substring(0, index) + nav + html.substring(index);
+    }
+    return nav + html;
+}
+
+module.exports = {
+    stateUrl,
+    parseStateUrl,
+    stateFilePath,
+    normalizeStateRule,
+    enterState,
+    listStateTargets,
+    markStateTargets,
+    injectStateNav
+};
@@ -0,0 +1,123 @@
+const fs = require('fs-extra');
+
+// Minimal streaming tar (ustar) writer. Paths that do not fit the ustar name/prefix fields
+// get a PAX extended header.
+
+const BLOCK_SIZE = 512;
+
+function octal(value, length) {
+    return value.toString(8).padStart(length - 1, '0') + '\0';
+}
+
+function splitUstarPath(name) {
+    if (Buffer.byteLength(name) <= 100) {
+        return { name, prefix: '' };
+    }
+    // Split at a slash so that prefix <= 155 bytes and name <= 100 bytes
+    for (let i = name.length - 1; i > 0; i--) {
+        if (name[i] === '/') {
+            const prefix = name.substring(0, i);
+            const rest = name.substring(i + 1);
+            if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+                return { name: rest, prefix };
+            }
+        }
+    }
+    return null;
+}
+
+function buildHeader({ name, prefix = '', size, mtime, type = '0', mode = 0o644 }) {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    header.write(name, 0, 100, 'utf8');
+    header.write(octal(mode, 8), 100, 8, 'ascii');
+    header.write(octal(0, 8), 108, 8, 'ascii'); // uid
+    header.write(octal(0, 8), 116, 8, 'ascii'); // gid
+    header.write(octal(size, 12), 124, 12, 'ascii');
+    header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136, 12, 'ascii');
+    header.write('        ', 148, 8, 'ascii'); // checksum placeholder
+    header.write(type, 156, 1, 'ascii');
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+
+    let checksum = 0;
+    for (const byte of header) {
+        checksum += byte;
+    }
+    header.write(octal(checksum, 7) + ' ', 148, 8, 'ascii');
+    return header;
+}
+
+// PAX records are "<length> path=<value>\n", where the length includes itself
+function paxRecord(key, value) {
+    const body = ` ${key}=${value}\n`;
+    let length = Buffer.byteLength(body) + 1;
+    while (String(length).length + Buffer.byteLength(body) !== length) {
+        length = String(length).length + Buffer.byteLength(body);
+    }
+    return Buffer.from(`${length}${body}`, 'utf8');
+}
+
+function padding(size) {
+    const remainder = size % BLOCK_SIZE;
+    return remainder === 0 ? Buffer.alloc(0) : Buffer.alloc(BLOCK_SIZE - remainder);
+}
+
+class TarWriter {
+    constructor(output) {
+        this.output = output; // Writable stream, e.g. a gzip stream piped to a file
+    }
+
+    write(buffer) {
+        if (!this.output.write(buffer)) {
+            return new Promise(resolve => this.output.once('drain', resolve));
+        }
+        return Promise.resolve();
+    }
+
+    async writeHeader(name, size, mtime) {
+        const split = splitUstarPath(name);
+        if (split) {
+            await this.write(buildHeader({ name: split.name, prefix: split.prefix, size, mtime }));
+            return;
+        }
+        const pax = paxRecord('path', name);
+        await this.write(buildHeader({ name: 'PaxHeader', size: pax.length, mtime, type: 'x' }));
+        await this.write(pax);
+        await this.write(padding(pax.length));
+        await this.write(buildHeader({ name: name.substring(0, 100), size, mtime }));
+    }
+
+    async addBuffer(name, buffer, { date = null } = {}) {
+        await this.writeHeader(name.replace(/\\/g, '/'), buffer.length, date || new Date());
+        await this.write(buffer);
+        await this.write(padding(buffer.length));
+    }
+
+    async addFile(name, filePath) {
+        const stat = await fs.stat(filePath);
+        await this.writeHeader(name.replace(/\\/g, '/'), stat.size, stat.mtime);
+        let written = 0;
+        for await (const chunk of fs.createReadStream(filePath)) {
+            written += chunk.length;
+            await this.write(chunk);
+        }
+        if (written !== stat.size) {
+            throw new Error(`File changed while archiving: ${filePath}`);
+        }
+        await this.write(padding(stat.size));
+    }
+
+    // Two empty blocks end the archive
+    async finish() {
+        await this.write(Buffer.alloc(BLOCK_SIZE * 2));
+        await new Promise((resolve, reject) => {
+            this.output.once('error', reject);
+            this.output.end(resolve);
+        });
+    }
+}
+
+module.exports = {
+    TarWriter
+};
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const path = require('path');
+const { MIME_TYPES, extensionFor } = require('./mime');
+
+// The one table from URLs to the files they are saved as. The crawler names files through it, the
+// link rewriter and the sitemap read it, and it is written to url-map.json so `verify` and `serve`
+// can map original URLs to files (and back).
+//
+// Names follow the URL: the path (decoded, without characters file systems reject), the query as
+// "_a_1", ".html" for pages and an extension matching the Content-Type for resources. A name is only
+// ever given to one URL, compared case-insensitively for macOS and Windows. When a name is taken,
+// or a folder on its path is a file or a generated folder, a short hash makes it unique:
+// "about~3f2a9c1e.html". Over-long names are shortened the same way.
+
+const URL_MAP_FILE = 'url-map.json';
+const URL_MAP_VERSION = 1;
+const MAX_NAME_LENGTH = 120;
+const DIRECTORY = Symbol('directory');
+const RESERVED = Symbol('reserved');
+
+const shortHash = (text) => crypto.createHash('sha256').update(text).digest('hex').substring(0, 8);
+
+// Extension used when the server sends no Content-Type and the URL has none
+const TYPE_EXTENSIONS = { css: '.css', js: '.js' };
+
+function safeSegment(segment) {
+    let decoded = segment;
+    try {
+        decoded = decodeURIComponent(segment);
+    } catch (error) {
+        // Malformed escapes stay as they are
+    }
+    decoded = decoded.replace(/[<>:"|?*#\\/\x00-\x1f]/g, '_');
+    return decoded === '.' || decoded === '..' ? decoded.replace(/\./g, '_') : decoded;
+}
+
+function queryName(search) {
+    return search ? '_' + safeSegment(search.substring(1)).replace(/[&=]/g, '_') : '';
+}
+
+// Keep names within file system limits: "very-long-name...~1a2b3c4d"
+function shortenName(stem, ext) {
+    if (stem.length + ext.length <= MAX_NAME_LENGTH) {
+        return stem + ext;
+    }
+    return stem.substring(0, MAX_NAME_LENGTH - ext.length - 9) + '~' + shortHash(stem) + ext;
+}
+
+// Split a file name into stem and a known extension; unknown ones (".php") stay in the stem
+function splitExtension(name) {
+    const ext = path.extname(name);
+    return ext && MIME_TYPES[ext.toLowerCase()] ? [name.slice(0, -ext.length), ext] : [name, ''];
+}
+
+// A known extension stays unless the Content-Type is a different kind of file ("x.png" served as
+// text/html). Otherwise the Content-Type's extension is added: "logo" -> "logo.svg", "img.php" -> "img.php.png".
+function chooseExtension(ext, type, contentType) {
+    const fromType = extensionFor(contentType);
+    if (ext) {
+        const kind = (mimeType) => mimeType.split('/')[0];
+        return !fromType || kind(MIME_TYPES[ext.toLowerCase()]) === kind(MIME_TYPES[fromType]) ? ext : ext + fromType;
+    }
+    return fromType || TYPE_EXTENSIONS[type] || '';
+}
+
+// Reference from one saved file to another for href/src/url(): "../assets/logo.svg"
+function relativeHref(fromFile, toFile) {
+    return path.posix.relative(path.posix.dirname(fromFile), toFile).split('/').map(encodeURIComponent).join('/');
+}
+
+class UrlFileMap {
+    // reserved: generated files and folders no page or asset may take ("sitemap.html", "archive/")
+    constructor(baseUrl, siteHosts = [], reserved = []) {
+        this.baseUrl = baseUrl;
+        // Start URL folder, left out of page names: "/en/about" -> "about.html" when crawling "/en/"
+        this.basePath = new URL(baseUrl).pathname.replace(/^\/+|\/+$/g, '');
+        this.siteHosts = siteHosts;
+        this.files = new Map(); // URL -> file
+        this.owners = new Map(); // lowercased file or folder -> URL, DIRECTORY or RESERVED
+        for (const name of reserved) {
+            this.owners.set(name.replace(/\/$/, '').toLowerCase(), RESERVED);
+        }
+    }
+
+    fileFor(url) {
+        return this.files.get(url);
+    }
+
+    urlFor(file) {
+        const owner = this.owners.get(file.toLowerCase());
+        return typeof owner === 'string' ? owner : undefined;
+    }
+
+    // Give `candidate` to `url`, or a hashed variant of it when it clashes with another URL's file
+    claim(url, candidate) {
+        if (this.files.has(url)) {
+            return this.files.get(url);
+        }
+
+        const segments = candidate.split('/');
+        for (let i = 0; i < segments.length - 1; i++) {
+            // A folder on the way is another URL's file or a generated folder: move to a sibling folder
+            const owner = this.owners.get(segments.slice(0, i + 1).join('/').toLowerCase());
+            if (owner !== undefined && owner !== DIRECTORY) {
+                segments[i] += '~' + shortHash(segments.slice(0, i + 1).join('/'));
+            }
+        }
+        let file = segments.join('/');
+        if (this.owners.has(file.toLowerCase())) {
+            const [stem, ext] = splitExtension(segments.pop());
+            file = [...segments, `${stem}~${shortHash(url)}${ext}`].join('/');
+            for (let n = 2; this.owners.has(file.toLowerCase()); n++) {
+                file = [...segments, `${stem}~${shortHash(url)}-${n}${ext}`].join('/');
+            }
+        }
+
+        this.files.set(url, file);
+        this.owners.set(file.toLowerCase(), url);
+        const parts = file.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            const folder = parts.slice(0, i).join('/').toLowerCase();
+            if (!this.owners.has(folder)) {
+                this.owners.set(folder, DIRECTORY);
+            }
+        }
+        return file;
+    }
+
+    // Page file: "about.html", "blog/index.html", "search_q_x.html", "docs.example.com/intro.html"
+    pageFile(url) {
+        if (this.files.has(url)) {
+            return this.files.get(url);
+        }
+        let candidate;
+        try {
+            const urlObj = new URL(url);
+            const siteHost = this.siteHosts.includes(urlObj.hostname);
+            let pathname = urlObj.pathname.replace(/^\/+/, '');
+            if (siteHost && this.basePath && (pathname === this.basePath || pathname.startsWith(this.basePath + '/'))) {
+                pathname = pathname.substring(this.basePath.length).replace(/^\/+/, '');
+            }
+            if (!pathname || pathname.endsWith('/')) {
+                pathname += 'index';
+            }
+            const segments = pathname.split('/').map(safeSegment);
+            const stem = segments.pop().replace(/\.html$/i, '');
+            segments.push(shortenName(stem + queryName(urlObj.search), '.html'));
+            candidate = (siteHost ? '' : safeSegment(urlObj.host) + '/') + segments.join('/');
+        } catch (error) {
+            candidate = `unknown~${shortHash(String(url))}.html`;
+        }
+        return this.claim(url, candidate);
+    }
+
+    // Resource file under assets/, with a folder per third-party host: "assets/fonts.gstatic.com/s/x.woff2"
+    resourceFile(url, { type = null, contentType = null } = {}) {
+        if (this.files.has(url)) {
+            return this.files.get(url);
+        }
+        let candidate;
+        try {
+            const urlObj = new URL(url);
+            let pathname = urlObj.pathname.replace(/^\/+/, '');
+            // Avoid assets/assets/ for sites that already keep their files in /assets/
+            if (pathname.startsWith('assets/')) {
+                pathname = pathname.substring(7);
+            }
+            if (!pathname || pathname.endsWith('/')) {
+                pathname += 'index';
+            }
+            const segments = pathname.split('/').map(safeSegment);
+            const [stem, ext] = splitExtension(segments.pop());
+            segments.push(shortenName(stem + queryName(urlObj.search), chooseExtension(ext, type, contentType)));
+            const hostFolder = this.siteHosts.includes(urlObj.hostname) ? '' : safeSegment(urlObj.host) + '/';
+            candidate = 'assets/' + hostFolder + segments.join('/');
+        } catch (error) {
+            candidate = `assets/unknown~${shortHash(String(url))}${extensionFor(contentType) || ''}`;
+        }
+        return this.claim(url, candidate);
+    }
+
+    // Restore the table of an earlier run, so files keep their names
+    load(data) {
+        if (!data || data.version !== URL_MAP_VERSION || data.baseUrl !== this.baseUrl) {
+            return false;
+        }
+        for (const [url, file] of Object.entries(data.files || {})) {
+            this.claim(url, file);
+        }
+        return true;
+    }
+
+    // `saved(url)`, when given, leaves out URLs that were named but never saved (url-map.json lists
+    // only files that exist; the crawl state keeps every name)
+    toJSON(saved = null) {
+        const files = {};
+        for (const url of Array.from(this.files.keys()).sort()) {
+            if (typeof saved !== 'function' || saved(url)) {
+                files[url] = this.files.get(url);
+            }
+        }
+        return { version: URL_MAP_VERSION, baseUrl: this.baseUrl, files: files };
+    }
+}
+
+module.exports = {
+    URL_MAP_FILE,
+    UrlFileMap,
+    relativeHref
+};
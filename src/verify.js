@@ -0,0 +1,347 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { findCssReferences } = require('./css');
+const { isWwwTwin } = require('./scope');
+const { SEARCH_PAGE } = require('./search');
+const { URL_MAP_FILE } = require('./url-map');
+const { NON_RESOURCE_RELS, parseSrcset, decodeAttribute, escapeHtml } = require('./rewrite');
+const { MANIFEST_FILE_NAME } = require('./manifest');
+
+// Post-crawl check of an output directory: every reference in the saved HTML and CSS should point
+// at a file that exists, and none should still point at the original site.
+
+const REPORT_JSON = 'verify-report.json';
+const REPORT_HTML = 'verify-report.html';
+
+// Generated pages that link to the original URLs on purpose
+const GENERATED_PAGES = ['sitemap.html', SEARCH_PAGE, REPORT_HTML];
+// WARC output is checked by replay tools, not here
+const SKIPPED_DIRS = ['archive'];
+
+const SKIPPED_SCHEMES = /^(data|javascript|mailto|tel|sms|blob|about):/i;
+const ABSOLUTE_URL = /^(https?:)?\/\//i;
+
+// 1-based line number of a string offset
+function lineAt(text, index) {
+    let line = 1;
+    for (let i = text.indexOf('\n'); i !== -1 && i < index; i = text.indexOf('\n', i + 1)) {
+        line++;
+    }
+    return line;
+}
+
+// References in an HTML document: { tag, attribute, value, index }
+function findHtmlReferences(html) {
+    // Blank out comments and inline script bodies (keeping offsets) so markup in strings is not picked up
+    const blank = (match) => match.replace(/[^\n]/g, ' ');
+    const source = html
+        .replace(/<!--[\s\S]*?-->/g, blank)
+        .replace(/(<script\b[^>]*>)([\s\S]*?)(<\/script>)/gi, (match, open, body, close) => open + blank(body) + close);
+
+    const references = [];
+    const tagPattern = /<([a-zA-Z][\w:-]*)\b[^>]*>/g;
+    let tag;
+    while ((tag = tagPattern.exec(source)) !== null) {
+        const tagName = tag[1].toLowerCase();
+        if (tagName === 'base' || (tagName === 'link' && NON_RESOURCE_RELS.test((/\brel\s*=\s*["']?([^"'>]*)/i.exec(tag[0]) || [])[1] || ''))) {
+            continue;
+        }
+        const attributePattern = /\s(href|xlink:href|src|poster|data|srcset|imagesrcset|data-src|data-srcset|background|style)\s*=\s*(["'])([\s\S]*?)\2/gi;
+        let attribute;
+        while ((attribute = attributePattern.exec(tag[0])) !== null) {
+            const name = attribute[1].toLowerCase();
+            const value = decodeAttribute(attribute[3]);
+            const index = tag.index + attribute.index;
+            if (name === 'data' && tagName !== 'object') {
+                continue;
+            }
+            if (name.endsWith('srcset')) {
+                for (const candidate of parseSrcset(value)) {
+                    references.push({ tag: tagName, attribute: name, value: candidate.url, index });
+                }
+            } else if (name === 'style') {
+                for (const url of findCssReferences(value)) {
+                    references.push({ tag: tagName, attribute: name, value: url, index });
+                }
+            } else {
+                references.push({ tag: tagName, attribute: name, value: value.trim(), index });
+            }
+        }
+    }
+
+    // <style> blocks
+    const stylePattern = /<style\b[^>]*>([\s\S]*?)<\/style>/gi;
+    let style;
+    while ((style = stylePattern.exec(source)) !== null) {
+        for (const url of findCssReferences(style[1])) {
+            references.push({ tag: 'style', attribute: 'url()', value: url, index: style.index });
+        }
+    }
+    return references;
+}
+
+async function listFiles(dir, prefix = '') {
+    const files = [];
+    const entries = (await fs.readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+        const name = prefix + entry.name;
+        if (entry.name.startsWith('.') || SKIPPED_DIRS.includes(name)) {
+            continue;
+        }
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(path.join(dir, entry.name), name + '/'));
+        } else if (entry.isFile()) {
+            files.push(name);
+        }
+    }
+    return files;
+}
+
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+async function targetExists(filePath) {
+    try {
+        const stat = await fs.stat(filePath);
+        // A link to a folder works when the folder has an index page
+        return stat.isFile() || (stat.isDirectory() && await fs.pathExists(path.join(filePath, 'index.html')));
+    } catch (error) {
+        return false;
+    }
+}
+
+// File the crawler saved an original URL as, from url-map.json
+function savedFile(urlFiles, value, baseUrl) {
+    try {
+        const urlObj = new URL(value, baseUrl);
+        urlObj.hash = '';
+        return urlFiles[urlObj.href] || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Check one reference from `file` (relative to root). Returns null when it is fine, or a problem entry.
+// `urlFiles` (original URL -> saved file) names the file a reference to the original site should use.
+async function checkReference(rootDir, file, reference, originHosts, urlFiles = {}, baseUrl = null) {
+    const value = reference.value;
+    if (!value || value.startsWith('#') || SKIPPED_SCHEMES.test(value)) {
+        return null;
+    }
+
+    if (ABSOLUTE_URL.test(value)) {
+        let host;
+        try {
+            host = new URL(value, 'https://placeholder.invalid/').hostname;
+        } catch (error) {
+            return { type: 'dangling', reason: 'invalid URL' };
+        }
+        const isOrigin = originHosts.some(originHost => host === originHost || isWwwTwin(host, originHost));
+        if (!isOrigin) {
+            return null;
+        }
+        const saved = savedFile(urlFiles, value, baseUrl || 'https://placeholder.invalid/');
+        return saved
+            ? { type: 'absolute', reason: `absolute URL to the original site (saved as ${saved})`, resolved: saved }
+            : { type: 'absolute', reason: 'absolute URL to the original site' };
+    }
+
+    const filePart = value.split(/[?#]/)[0];
+    if (!filePart) {
+        return null; // "?page=2" or similar on the same file
+    }
+    // Root-relative paths resolve against the site's server, not against the saved copy
+    const rootRelative = filePart.startsWith('/');
+    const base = rootRelative ? rootDir : path.dirname(path.join(rootDir, file));
+    const candidates = [filePart];
+    try {
+        const decoded = decodeURIComponent(filePart);
+        if (decoded !== filePart) {
+            candidates.push(decoded);
+        }
+    } catch (error) {
+        // Malformed escapes: only the raw name is checked
+    }
+
+    let resolved = null;
+    for (const candidate of candidates) {
+        const target = path.resolve(base, rootRelative ? '.' + candidate : candidate);
+        if (target !== rootDir && !target.startsWith(rootDir + path.sep)) {
+            return { type: 'dangling', reason: 'points outside the output directory' };
+        }
+        resolved = path.relative(rootDir, target).replace(/\\/g, '/');
+        if (await targetExists(target)) {
+            return rootRelative ? { type: 'absolute', reason: 'root-relative path, breaks when opened from disk', resolved } : null;
+        }
+    }
+    const saved = rootRelative && baseUrl ? savedFile(urlFiles, value, baseUrl) : null;
+    if (saved && await targetExists(path.join(rootDir, saved))) {
+        return { type: 'absolute', reason: `root-relative path to the original URL (saved as ${saved})`, resolved: saved };
+    }
+    return { type: 'dangling', reason: 'file not found', resolved };
+}
+
+// Verify an output directory and return the report
+async function verifyOutput(outputDir, { originHosts = [] } = {}) {
+    const rootDir = path.resolve(outputDir);
+    const sitemap = await readJson(path.join(rootDir, 'sitemap.json'));
+    const manifest = await readJson(path.join(rootDir, MANIFEST_FILE_NAME));
+    const urlMap = await readJson(path.join(rootDir, URL_MAP_FILE));
+    const urlFiles = (urlMap && urlMap.files) || {};
+    const baseUrl = (sitemap && sitemap.baseUrl) || (manifest && manifest.baseUrl) || null;
+    const hosts = [...originHosts];
+    if (baseUrl) {
+        hosts.unshift(new URL(baseUrl).hostname);
+    }
+
+    const report = {
+        outputDir: rootDir,
+        baseUrl: baseUrl,
+        generatedAt: new Date().toISOString(),
+        summary: { htmlFiles: 0, cssFiles: 0, references: 0, dangling: 0, absolute: 0, failedDownloads: 0 },
+        dangling: [],
+        absolute: [],
+        failedDownloads: []
+    };
+
+    const files = await listFiles(rootDir);
+    for (const file of files) {
+        const isHtml = /\.html?$/i.test(file);
+        const isCss = /\.css$/i.test(file);
+        if ((!isHtml && !isCss) || GENERATED_PAGES.includes(file)) {
+            continue;
+        }
+        let text;
+        try {
+            text = await fs.readFile(path.join(rootDir, file), 'utf8');
+        } catch (error) {
+            console.error(`Could not read ${file}:`, error.message);
+            continue;
+        }
+
+        let references;
+        if (isHtml) {
+            report.summary.htmlFiles++;
+            references = findHtmlReferences(text);
+        } else {
+            report.summary.cssFiles++;
+            references = findCssReferences(text).map(value => ({ tag: 'css', attribute: 'url()', value, index: text.indexOf(value) }));
+        }
+
+        for (const reference of references) {
+            report.summary.references++;
+            const problem = await checkReference(rootDir, file, reference, hosts, urlFiles, baseUrl);
+            if (problem) {
+                report[problem.type].push({
+                    file: file,
+                    line: lineAt(text, reference.index),
+                    tag: reference.tag,
+                    attribute: reference.attribute,
+                    reference: reference.value,
+                    resolved: problem.resolved || null,
+                    reason: problem.reason
+                });
+            }
+        }
+    }
+
+    // Downloads that failed during the crawl, with the pages that needed them
+    const failed = (manifest && manifest.failed) || {};
+    for (const [url, entry] of Object.entries(failed)) {
+        const pages = sitemap ? sitemap.pages.filter(page => (page.resources || []).includes(url)).map(page => page.url) : [];
+        report.failedDownloads.push({ url, status: entry.status, error: entry.error, file: entry.file, failedAt: entry.failedAt, pages });
+    }
+
+    report.summary.dangling = report.dangling.length;
+    report.summary.absolute = report.absolute.length;
+    report.summary.failedDownloads = report.failedDownloads.length;
+    return report;
+}
+
+function generateVerifyReportHtml(report) {
+    const table = (rows, columns) => rows.length === 0 ? '<p class="ok">None found.</p>' : `
+    <table>
+        <tr>${columns.map(([title]) => `<th>${title}</th>`).join('')}</tr>
+        ${rows.map(row => `<tr>${columns.map(([, render]) => `<td>${render(row)}</td>`).join('')}</tr>`).join('')}
+    </table>`;
+    const location = row => `<a href="${encodeURI(row.file)}">${escapeHtml(row.file)}</a>:${row.line}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Verification report - ${escapeHtml(report.baseUrl || report.outputDir)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; line-height: 1.6; }
+        .header { background: #f4f4f4; padding: 20px; border-radius: 5px; margin-bottom: 20px; }
+        .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 10px; margin-bottom: 20px; }
+        .stat { background: #e9e9e9; padding: 10px; border-radius: 3px; text-align: center; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 30px; }
+        th, td { border: 1px solid #ddd; padding: 5px 8px; text-align: left; font-size: 0.9em; vertical-align: top; }
+        th { background: #f4f4f4; }
+        code { word-break: break-all; }
+        .ok { color: #009900; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>Verification Report</h1>
+        <p><strong>Base URL:</strong> ${escapeHtml(report.baseUrl)}</p>
+        <p><strong>Output directory:</strong> ${escapeHtml(report.outputDir)}</p>
+        <p><strong>Generated:</strong> ${new Date(report.generatedAt).toLocaleString()}</p>
+    </div>
+
+    <div class="stats">
+        <div class="stat"><div><strong>${report.summary.htmlFiles}</strong></div><div>HTML Files</div></div>
+        <div class="stat"><div><strong>${report.summary.cssFiles}</strong></div><div>CSS Files</div></div>
+        <div class="stat"><div><strong>${report.summary.dangling}</strong></div><div>Dangling References</div></div>
+        <div class="stat"><div><strong>${report.summary.absolute}</strong></div><div>Links to the Original Site</div></div>
+        <div class="stat"><div><strong>${report.summary.failedDownloads}</strong></div><div>Failed Downloads</div></div>
+    </div>
+
+    <h2>Dangling References</h2>
+    ${table(report.dangling, [
+        ['File', location],
+        ['Element', row => `&lt;${escapeHtml(row.tag)}&gt; ${escapeHtml(row.attribute)}`],
+        ['Reference', row => `<code>${escapeHtml(row.reference)}</code>`],
+        ['Problem', row => escapeHtml(row.reason)]
+    ])}
+
+    <h2>Links to the Original Site</h2>
+    ${table(report.absolute, [
+        ['File', location],
+        ['Element', row => `&lt;${escapeHtml(row.tag)}&gt; ${escapeHtml(row.attribute)}`],
+        ['Reference', row => `<code>${escapeHtml(row.reference)}</code>`],
+        ['Problem', row => escapeHtml(row.reason)]
+    ])}
+
+    <h2>Failed Downloads</h2>
+    ${table(report.failedDownloads, [
+        ['URL', row => `<code>${escapeHtml(row.url)}</code>`],
+        ['Status', row => escapeHtml(row.status || row.error)],
+        ['Needed by', row => row.pages.map(escapeHtml).join('<br>')]
+    ])}
+</body>
+</html>`;
+}
+
+// Write verify-report.json and verify-report.html into the output directory
+async function writeVerifyReport(report) {
+    const jsonPath = path.join(report.outputDir, REPORT_JSON);
+    const htmlPath = path.join(report.outputDir, REPORT_HTML);
+    await fs.writeFile(jsonPath, JSON.stringify(report, null, 2), 'utf8');
+    await fs.writeFile(htmlPath, generateVerifyReportHtml(report), 'utf8');
+    return { jsonPath, htmlPath };
+}
+
+module.exports = {
+    verifyOutput,
+    writeVerifyReport,
+    findHtmlReferences
+};
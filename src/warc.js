@@ -0,0 +1,182 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+// WARC 1.1 writer. Every record is its own gzip member so the CDXJ offsets point straight at it.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function digest(buffer) {
+    return 'sha256:' + base32(crypto.createHash('sha256').update(buffer).digest());
+}
+
+// Sort-friendly URL key used by CDXJ indexes: "https://www.Example.com/a?b=1&a=2" -> "com,example)/a?a=2&b=1"
+function surt(url) {
+    try {
+        const urlObj = new URL(url);
+        const host = urlObj.hostname.toLowerCase().replace(/^www\d*\./, '').split('.').reverse().join(',');
+        const port = urlObj.port ? ':' + urlObj.port : '';
+        const query = urlObj.search ? '?' + urlObj.search.substring(1).split('&').sort().join('&') : '';
+        return `${host}${port})${urlObj.pathname}${query}`.toLowerCase();
+    } catch (error) {
+        return url;
+    }
+}
+
+// 14-digit timestamp used by CDXJ: 20260119093000
+function cdxTimestamp(date) {
+    return date.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+}
+
+const STATUS_TEXTS = { 200: 'OK', 204: 'No Content', 206: 'Partial Content', 301: 'Moved Permanently', 302: 'Found', 303: 'See Other', 304: 'Not Modified', 307: 'Temporary Redirect', 308: 'Permanent Redirect', 404: 'Not Found' };
+
+// Puppeteer joins repeated headers (e.g. Set-Cookie) with "\n"; write them as separate lines
+function headerLines(headers) {
+    const lines = [];
+    for (const [name, value] of Object.entries(headers || {})) {
+        for (const part of String(value).split('\n')) {
+            lines.push(`${name}: ${part}`);
+        }
+    }
+    return lines;
+}
+
+class WarcWriter {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.fileName = path.basename(filePath);
+        this.handle = null;
+        this.offset = 0;
+        this.queue = Promise.resolve();
+    }
+
+    // Open for appending (used by --resume) or start a fresh file
+    async open({ append = false } = {}) {
+        await fs.ensureDir(path.dirname(this.filePath));
+        this.handle = await fs.promises.open(this.filePath, append ? 'a' : 'w');
+        this.offset = (await this.handle.stat()).size;
+    }
+
+    async close() {
+        await this.queue;
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+
+    // Append one record; resolves to { offset, length } of its gzip member
+    writeRecord(fields, block) {
+        const header = ['WARC/1.1', ...Object.entries(fields).filter(([, value]) => value !== null && value !== undefined).map(([name, value]) => `${name}: ${value}`), `Content-Length: ${block.length}`].join('\r\n');
+        const record = zlib.gzipSync(Buffer.concat([Buffer.from(header + '\r\n\r\n', 'utf8'), block, Buffer.from('\r\n\r\n')]));
+
+        const write = this.queue.then(async () => {
+            const offset = this.offset;
+            await this.handle.write(record, 0, record.length, null);
+            this.offset += record.length;
+            return { offset, length: record.length };
+        });
+        this.queue = write.catch(() => {});
+        return write;
+    }
+
+    writeWarcinfo(info) {
+        const block = Buffer.from(Object.entries(info).map(([name, value]) => `${name}: ${value}`).join('\r\n') + '\r\n', 'utf8');
+        return this.writeRecord({
+            'WARC-Type': 'warcinfo',
+            'WARC-Record-ID': `<urn:uuid:${crypto.randomUUID()}>`,
+            'WARC-Date': new Date().toISOString(),
+            'WARC-Filename': this.fileName,
+            'Content-Type': 'application/warc-fields'
+        }, block);
+    }
+
+    // Write a request/response pair. Bodies are stored as received by the browser; since the browser
+    // has already decoded them, Content-Encoding is kept as X-Archive-Orig-Content-Encoding.
+    async writeExchange({ url, method, requestHeaders, postData, status, statusText, responseHeaders, body, date }) {
+        const urlObj = new URL(url);
+        const recordDate = (date || new Date()).toISOString();
+        const responseId = `<urn:uuid:${crypto.randomUUID()}>`;
+
+        const headers = {};
+        for (const [name, value] of Object.entries(responseHeaders || {})) {
+            const lower = name.toLowerCase();
+            if (lower === 'content-encoding') {
+                headers['x-archive-orig-content-encoding'] = value;
+            } else if (lower === 'content-length') {
+                headers['x-archive-orig-content-length'] = value;
+            } else {
+                headers[name] = value;
+            }
+        }
+        headers['content-length'] = String(body.length);
+
+        const responseHead = [`HTTP/1.1 ${status} ${statusText || STATUS_TEXTS[status] || ''}`.trim(), ...headerLines(headers)].join('\r\n') + '\r\n\r\n';
+        const responseBlock = Buffer.concat([Buffer.from(responseHead, 'utf8'), body]);
+        const response = await this.writeRecord({
+            'WARC-Type': 'response',
+            'WARC-Record-ID': responseId,
+            'WARC-Date': recordDate,
+            'WARC-Target-URI': url,
+            'WARC-Payload-Digest': digest(body),
+            'WARC-Block-Digest': digest(responseBlock),
+            'Content-Type': 'application/http; msgtype=response'
+        }, responseBlock);
+
+        const requestHeaderMap = { ...requestHeaders };
+        if (!Object.keys(requestHeaderMap).some(name => name.toLowerCase() === 'host')) {
+            requestHeaderMap['host'] = urlObj.host;
+        }
+        const requestBody = postData ? Buffer.from(postData, 'utf8') : Buffer.alloc(0);
+        const requestHead = [`${method || 'GET'} ${urlObj.pathname}${urlObj.search} HTTP/1.1`, ...headerLines(requestHeaderMap)].join('\r\n') + '\r\n\r\n';
+        const requestBlock = Buffer.concat([Buffer.from(requestHead, 'utf8'), requestBody]);
+        await this.writeRecord({
+            'WARC-Type': 'request',
+            'WARC-Record-ID': `<urn:uuid:${crypto.randomUUID()}>`,
+            'WARC-Date': recordDate,
+            'WARC-Target-URI': url,
+            'WARC-Concurrent-To': responseId,
+            'WARC-Block-Digest': digest(requestBlock),
+            'Content-Type': 'application/http; msgtype=request'
+        }, requestBlock);
+
+        const contentType = Object.entries(responseHeaders || {}).find(([name]) => name.toLowerCase() === 'content-type');
+        const mime = contentType ? String(contentType[1]).split(';')[0].trim() : '';
+
+        // CDXJ line for this response record
+        return `${surt(url)} ${cdxTimestamp(new Date(recordDate))} ${JSON.stringify({
+            url: url,
+            mime: mime || 'unk',
+            status: String(status),
+            digest: digest(body),
+            length: String(response.length),
+            offset: String(response.offset),
+            filename: this.fileName
+        })}`;
+    }
+}
+
+module.exports = {
+    WarcWriter,
+    surt,
+    cdxTimestamp
+};
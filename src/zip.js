@@ -0,0 +1,164 @@
+const fs = require('fs-extra');
+const zlib = require('zlib');
+
+// Minimal streaming ZIP writer: stored or deflated entries, no ZIP64 (entries and archive under 4 GB)
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer, previous = 0) {
+    let crc = previous ^ 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time fields used by ZIP headers
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+class ZipWriter {
+    constructor(output) {
+        this.output = output; // Writable stream
+        this.offset = 0;
+        this.entries = [];
+    }
+
+    write(buffer) {
+        this.offset += buffer.length;
+        if (!this.output.write(buffer)) {
+            return new Promise(resolve => this.output.once('drain', resolve));
+        }
+        return Promise.resolve();
+    }
+
+    localHeader(entry, flags) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4); // version needed
+        header.writeUInt16LE(flags, 6);
+        header.writeUInt16LE(entry.method, 8);
+        header.writeUInt16LE(entry.time, 10);
+        header.writeUInt16LE(entry.day, 12);
+        header.writeUInt32LE(flags & 0x08 ? 0 : entry.crc, 14);
+        header.writeUInt32LE(flags & 0x08 ? 0 : entry.compressedSize, 18);
+        header.writeUInt32LE(flags & 0x08 ? 0 : entry.size, 22);
+        header.writeUInt16LE(name.length, 26);
+        header.writeUInt16LE(0, 28);
+        return Buffer.concat([header, name]);
+    }
+
+    newEntry(name, method, date) {
+        const { time, day } = dosDateTime(date || new Date());
+        return { name: name.replace(/\\/g, '/'), method, time, day, crc: 0, size: 0, compressedSize: 0, offset: this.offset, flags: 0x0800 };
+    }
+
+    // Add an in-memory entry. Deflated unless `store` is set.
+    async addBuffer(name, buffer, { store = false, date = null } = {}) {
+        const data = store ? buffer : zlib.deflateRawSync(buffer);
+        const entry = this.newEntry(name, store ? 0 : 8, date);
+        entry.crc = crc32(buffer);
+        entry.size = buffer.length;
+        entry.compressedSize = data.length;
+        this.entries.push(entry);
+        await this.write(this.localHeader(entry, entry.flags));
+        await this.write(data);
+    }
+
+    // Add a file from disk without loading it into memory. Stored entries are read twice
+    // (CRC first) so their sizes are in the local header; deflated entries use a data descriptor.
+    async addFile(name, filePath, { store = false } = {}) {
+        const stat = await fs.stat(filePath);
+        const entry = this.newEntry(name, store ? 0 : 8, stat.mtime);
+        this.entries.push(entry);
+
+        if (store) {
+            for await (const chunk of fs.createReadStream(filePath)) {
+                entry.crc = crc32(chunk, entry.crc);
+            }
+            entry.size = stat.size;
+            entry.compressedSize = stat.size;
+            await this.write(this.localHeader(entry, entry.flags));
+            for await (const chunk of fs.createReadStream(filePath)) {
+                await this.write(chunk);
+            }
+            return;
+        }
+
+        entry.flags |= 0x08;
+        await this.write(this.localHeader(entry, entry.flags));
+        const deflate = zlib.createDeflateRaw();
+        const source = fs.createReadStream(filePath);
+        source.on('data', chunk => {
+            entry.crc = crc32(chunk, entry.crc);
+            entry.size += chunk.length;
+        });
+        source.on('error', error => deflate.destroy(error));
+        source.pipe(deflate);
+        for await (const chunk of deflate) {
+            entry.compressedSize += chunk.length;
+            await this.write(chunk);
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await this.write(descriptor);
+    }
+
+    // Write the central directory and end the output stream
+    async finish() {
+        const start = this.offset;
+        for (const entry of this.entries) {
+            const name = Buffer.from(entry.name, 'utf8');
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(20, 4); // version made by
+            header.writeUInt16LE(20, 6); // version needed
+            header.writeUInt16LE(entry.flags, 8);
+            header.writeUInt16LE(entry.method, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.day, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(name.length, 28);
+            header.writeUInt32LE(entry.offset, 42);
+            await this.write(Buffer.concat([header, name]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        await this.write(end);
+
+        await new Promise((resolve, reject) => {
+            this.output.once('error', reject);
+            this.output.end(resolve);
+        });
+    }
+}
+
+module.exports = {
+    ZipWriter,
+    crc32
+};
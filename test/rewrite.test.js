@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findResources, rewriteHtml, restoreLinks } = require('../src/rewrite');
+
+// The rewriter works on serialized HTML, so these run in Node without a browser
+
+const PAGE_URL = 'https://example.com/blog/post';
+
+const SITE = {
+    'https://example.com/about': 'about.html',
+    'https://example.com/blog/': 'blog/index.html'
+};
+const ASSETS = {
+    'https://example.com/css/site.css': 'assets/css/site.css',
+    'https://example.com/js/app.js': 'assets/js/app.js',
+    'https://example.com/img/a.jpg': 'assets/img/a.jpg',
+    'https://example.com/img/a-2x.jpg': 'assets/img/a-2x.jpg',
+    'https://example.com/img/lazy.png': 'assets/img/lazy.png',
+    'https://example.com/img/bg.png': 'assets/img/bg.png',
+    'https://example.com/sprite.svg': 'assets/sprite.svg',
+    'https://cdn.example.net/lib.js': 'assets/cdn.example.net/lib.js'
+};
+
+function rewrite(html, options = {}) {
+    return rewriteHtml(html, {
+        pageUrl: PAGE_URL,
+        pageFile: 'blog/post.html',
+        linkFile: (url) => SITE[url] || null,
+        resourceFile: (url) => ASSETS[url] || null,
+        ...options
+    });
+}
+
+const urls = (resources) => resources.map(resource => resource.url);
+
+test('findResources lists what a page loads, resolved against the page', () => {
+    const resources = findResources(`
+        <link rel="stylesheet" href="/css/site.css">
+        <link rel="canonical" href="/blog/post">
+        <script src="../js/app.js"></script>
+        <img src="/img/a.jpg" srcset="/img/a.jpg 1x, /img/a-2x.jpg 2x">
+        <!-- <img src="/img/commented.png"> -->
+        <div data-bg="/img/bg.png"></div>
+        <a href="/files/report.pdf#page=2">Report</a>`, PAGE_URL);
+
+    assert.deepStrictEqual(urls(resources), [
+        'https://example.com/css/site.css',
+        'https://example.com/js/app.js',
+        'https://example.com/img/a.jpg',
+        'https://example.com/img/a.jpg',
+        'https://example.com/img/a-2x.jpg',
+        'https://example.com/img/bg.png',
+        'https://example.com/files/report.pdf'
+    ]);
+    assert.strictEqual(resources[0].type, 'css');
+    assert.strictEqual(resources[6].type, 'document');
+});
+
+test('findResources reads <style> blocks and skips data: URIs and same-document references', () => {
+    const resources = findResources(`
+        <style>@import "/css/site.css"; .a { background: url(/img/bg.png) } .b { background: url(data:image/png;base64,AA==) }</style>
+        <svg><use href="#icon-menu"></use><use href="/blog/post#icon-x"></use><use href="/sprite.svg#icon-y"></use></svg>`, PAGE_URL);
+
+    assert.deepStrictEqual(resources.map(resource => [resource.url, resource.type]), [
+        ['https://example.com/css/site.css', 'css'],
+        ['https://example.com/img/bg.png', 'other'],
+        ['https://example.com/sprite.svg', 'image']
+    ]);
+});
+
+test('rewriteHtml points links to crawled pages at their files and leaves the rest alone', async () => {
+    const { html, stats } = await rewrite(`
+        <a href="/about#team">About</a>
+        <a href="https://example.com/blog/">Blog</a>
+        <a href="/not-crawled">Elsewhere</a>
+        <a href="#top">Top</a>
+        <a href="mailto:hello@example.com">Mail</a>`);
+
+    assert.match(html, /<a href="..\/about.html#team">/);
+    assert.match(html, /<a href="index.html">/);
+    assert.match(html, /<a href="\/not-crawled">/);
+    assert.match(html, /<a href="#top">/);
+    assert.match(html, /<a href="mailto:hello@example.com">/);
+    assert.strictEqual(stats.links, 2);
+});
+
+test('rewriteHtml rewrites src, srcset, lazy attributes and style references', async () => {
+    const { html } = await rewrite(`
+        <img src="/img/a.jpg" srcset="/img/a.jpg 1x, /img/a-2x.jpg 2x">
+        <img data-src="/img/lazy.png" src="data:image/gif;base64,R0lGODlhAQABAAAAACw=">
+        <div style="background: url('/img/bg.png')"></div>
+        <style>.hero { background: url(/img/bg.png) }</style>
+        <svg><use href="#icon-menu"></use><use href="/sprite.svg#icon-y"></use></svg>`);
+
+    assert.match(html, /<img src="..\/assets\/img\/a.jpg" srcset="..\/assets\/img\/a.jpg 1x, ..\/assets\/img\/a-2x.jpg 2x">/);
+    assert.match(html, /<img data-src="..\/assets\/img\/lazy.png" src="..\/assets\/img\/lazy.png">/);
+    assert.match(html, /style="background: url\('..\/assets\/img\/bg.png'\)"/);
+    assert.match(html, /\.hero \{ background: url\('..\/assets\/img\/bg.png'\) \}/);
+    assert.match(html, /<use href="#icon-menu">/);
+    assert.match(html, /<use href="..\/assets\/sprite.svg#icon-y">/);
+});
+
+test('rewriteHtml removes absolute <base> tags and keeps relative ones', async () => {
+    assert.doesNotMatch((await rewrite('<head><base href="https://example.com/"></head>')).html, /<base/);
+    assert.doesNotMatch((await rewrite('<head><base href="/"></head>')).html, /<base/);
+    assert.match((await rewrite('<head><base target="_blank"></head>')).html, /<base target="_blank">/);
+});
+
+test('rewriteHtml strips integrity and crossorigin from local copies only', async () => {
+    const { html } = await rewrite(`
+        <link rel="stylesheet" href="/css/site.css" integrity="sha384-abc" crossorigin="anonymous">
+        <script src="/js/app.js" integrity="sha384-def" crossorigin></script>
+        <link rel="stylesheet" href="https://cdn.other.com/live.css" integrity="sha384-ghi" crossorigin="anonymous">`);
+
+    assert.match(html, /<link rel="stylesheet" href="..\/assets\/css\/site.css">/);
+    assert.match(html, /<script src="..\/assets\/js\/app.js"><\/script>/);
+    assert.match(html, /<link rel="stylesheet" href="https:\/\/cdn.other.com\/live.css" integrity="sha384-ghi" crossorigin="anonymous">/);
+});
+
+test('rewriteHtml prunes scripts that cannot work offline', async () => {
+    const { html, stats } = await rewrite(`
+        <script src="/js/app.js"></script>
+        <script src="https://cdn.example.net/lib.js"></script>
+        <script src="https://tracker.example.org/t.js"></script>
+        <script src="/js/analytics.js"></script>
+        <script>setTimeout(() => fetch('/api/items'), 100); // timeout</script>
+        <script>console.log('kept')</script>`);
+
+    assert.match(html, /<script src="..\/assets\/js\/app.js"><\/script>/);
+    assert.match(html, /<script src="..\/assets\/cdn.example.net\/lib.js"><\/script>/);
+    assert.doesNotMatch(html, /tracker.example.org/);
+    assert.doesNotMatch(html, /analytics.js/);
+    assert.doesNotMatch(html, /fetch\('\/api\/items'\)/);
+    assert.match(html, /console.log\('kept'\)/);
+    assert.strictEqual(stats.removedScripts, 3);
+});
+
+test('rewriteHtml keeps API scripts when their responses are replayed', async () => {
+    const source = '<script>setTimeout(() => fetch(\'/api/items\'), 100); // timeout</script>';
+    const { html } = await rewrite(source, { keepApiScripts: true });
+    assert.match(html, /fetch\('\/api\/items'\)/);
+});
+
+test('restoreLinks points local links back at live URLs', () => {
+    const hrefs = new Map([['../about.html', 'https://example.com/about']]);
+    const { html, restored } = restoreLinks('<a href="../about.html#team">About</a><a href="index.html">Blog</a>', hrefs);
+    assert.strictEqual(html, '<a href="https://example.com/about#team">About</a><a href="index.html">Blog</a>');
+    assert.strictEqual(restored, 1);
+});